@@ -1,102 +1,327 @@
 /* esline-env browser */
 // Manually updated list of valid HTML tags
 // Used to know when to create a named tag and when to create a div by default
-import { isObserver, observe, shuck } from './reactor.js'
+import { Reactor, isReactor, isSignal, isObserver, observe, unobserve, observerContext, batch, shuck, CompoundError } from './reactor.js'
 
 const validHTMLTags = Object.freeze([
-  'a', 'abbr', 'acronym', 'address', 'applet', 'area', 'article', 'aside', 'audio',
-  'b', 'bdi', 'base', 'basefont', 'bdo', 'big', 'blockquote', 'body', 'br', 'button',
-  'canvas', 'caption', 'center', 'cite', 'code', 'col', 'colgroup', 'command',
-  'data', 'datagrid', 'datalist', 'dd', 'del', 'details', 'dfn', 'dir', 'div', 'dl', 'dt',
-  'em', 'embed', 'eventsource',
-  'fieldset', 'figcaption', 'figure', 'font', 'footer', 'form', 'frame', 'frameset',
+  'a', 'abbr', 'address', 'area', 'article', 'aside', 'audio',
+  'b', 'base', 'bdi', 'bdo', 'blockquote', 'body', 'br', 'button',
+  'canvas', 'caption', 'cite', 'code', 'col', 'colgroup',
+  'data', 'datalist', 'dd', 'del', 'details', 'dfn', 'dialog', 'div', 'dl', 'dt',
+  'em', 'embed',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form',
   'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header', 'hgroup', 'hr', 'html',
-  'i', 'iframe', 'img', 'input', 'ins', 'isindex',
-  'kbd', 'keygen',
+  'i', 'iframe', 'img', 'input', 'ins',
+  'kbd',
   'label', 'legend', 'li', 'link',
-  'mark', 'map', 'menu', 'meta', 'meter',
-  'nav',
-  'noframes', 'noscript',
+  'main', 'map', 'mark', 'menu', 'meta', 'meter',
+  'nav', 'noscript',
   'object', 'ol', 'optgroup', 'option', 'output',
-  'p', 'param', 'pre', 'progress',
+  'p', 'picture', 'pre', 'progress',
   'q',
-  'ruby', 'rp', 'rt',
-  's', 'samp', 'script', 'section', 'select', 'small', 'source', 'span', 'strike', 'strong', 'style', 'sub', 'summary', 'sup',
-  'table', 'tbody', 'td', 'textarea', 'tfoot', 'th', 'thead', 'time', 'title', 'tr', 'track', 'tt',
+  'rp', 'rt', 'ruby',
+  's', 'samp', 'script', 'search', 'section', 'select', 'slot', 'small', 'source', 'span', 'strong', 'style', 'sub', 'summary', 'sup',
+  'table', 'tbody', 'td', 'template', 'textarea', 'tfoot', 'th', 'thead', 'time', 'title', 'tr', 'track',
   'u', 'ul',
   'var', 'video',
   'wbr'
 ])
 
+// Manually updated lists of valid SVG and MathML tags
+// Tags shared with HTML (a, script, style, title) resolve to HTML first
+// and are moved into the right namespace when appended under a foreign parent
+const validSVGTags = Object.freeze([
+  'a', 'animate', 'animateMotion', 'animateTransform',
+  'circle', 'clipPath',
+  'defs', 'desc',
+  'ellipse',
+  'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite',
+  'feConvolveMatrix', 'feDiffuseLighting', 'feDisplacementMap',
+  'feDistantLight', 'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG',
+  'feFuncR', 'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode',
+  'feMorphology', 'feOffset', 'fePointLight', 'feSpecularLighting',
+  'feSpotLight', 'feTile', 'feTurbulence', 'filter', 'foreignObject',
+  'g',
+  'image',
+  'line', 'linearGradient',
+  'marker', 'mask', 'metadata', 'mpath',
+  'path', 'pattern', 'polygon', 'polyline',
+  'radialGradient', 'rect',
+  'script', 'set', 'stop', 'style', 'svg', 'switch', 'symbol',
+  'text', 'textPath', 'title', 'tspan',
+  'use',
+  'view'
+])
+const validMathMLTags = Object.freeze([
+  'annotation', 'annotation-xml',
+  'maction', 'math', 'menclose', 'merror', 'mfenced', 'mfrac', 'mi',
+  'mmultiscripts', 'mn', 'mo', 'mover', 'mpadded', 'mphantom', 'mprescripts',
+  'mroot', 'mrow', 'ms', 'mspace', 'msqrt', 'mstyle', 'msub', 'msubsup', 'msup',
+  'mtable', 'mtd', 'mtext', 'mtr', 'munder', 'munderover',
+  'none',
+  'semantics'
+])
+
+// Namespaces used when creating elements and setting attributes
+// Prefixes let a descriptor force a namespace e.g. el('svg:a')
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml'
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg'
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML'
+const tagNamespaces = Object.freeze({
+  html: HTML_NAMESPACE,
+  svg: SVG_NAMESPACE,
+  math: MATHML_NAMESPACE
+})
+const attributeNamespaces = Object.freeze({
+  xlink: 'http://www.w3.org/1999/xlink',
+  xml: 'http://www.w3.org/XML/1998/namespace',
+  xmlns: 'http://www.w3.org/2000/xmlns/'
+})
+
+// Observers el() makes to write to the DOM wait for the next animation frame
+// so a burst of changes only updates the page once. flush() to update now
+// setScheduler() still takes precedence. Observers given to el() are left alone
+const domUpdates = Object.freeze({ fallbackScheduler: 'frame' })
+// Except where an update has to land before the triggering code carries on
+const syncUpdates = Object.freeze({ scheduler: 'sync' })
+
 // Maps normal Elements to their elInterface which enables the magic
 // Used to stop the observers when disconnected from the document
 const elCache = new WeakMap()
 
-// Setup a mutation observer
+// Node types checked directly instead of through instanceof or Node
+// so that elements from other documents (like a server document) work too
+const ELEMENT_NODE = 1
+const TEXT_NODE = 3
+const COMMENT_NODE = 8
+const DOCUMENT_FRAGMENT_NODE = 11
+const isElement = (candidate) => candidate?.nodeType === ELEMENT_NODE
+const isInsertable = (candidate) => (
+  candidate?.nodeType === ELEMENT_NODE ||
+  candidate?.nodeType === DOCUMENT_FRAGMENT_NODE
+)
+// Shadow roots are the only fragments with a host element
+const isShadowRoot = (candidate) => (
+  candidate?.nodeType === DOCUMENT_FRAGMENT_NODE &&
+  isElement(candidate.host)
+)
+
+// The document new elements are created in
+// Defaults to the global document in browsers. Swapped by withDocument
+let currentDocument = globalThis.document
+
+// Check if an element is attached to its document
+// isConnected follows shadow roots up through their hosts
+// unlike document.contains which stops at the shadow root
+const isInDocument = (element) => element.isConnected
+
+// Report an error which has no caller to throw to like an uncaught exception
+function reportUncaught (error) {
+  if (typeof globalThis.reportError === 'function') globalThis.reportError(error)
+  else setTimeout(() => { throw error })
+}
+
+// Create elements in another document for the duration of execute
+// Used for rendering on a server with a lightweight document
+// Content added to existing elements is always created in their own document
+export function withDocument (targetDocument, execute) {
+  const previousDocument = currentDocument
+  currentDocument = targetDocument
+  try {
+    return execute()
+  } finally {
+    currentDocument = previousDocument
+  }
+}
+
+// Make an el which creates and queries elements in another document
+// Useful for building inside a same-origin iframe or a popup
+// Elements made by plain el() also work once moved into an iframe in the page
+// but a popup's document is only watched once el() has been used on it
+// Nested el() calls made by plain el are adopted when appended
+// const popupEl = elFor(popup.document)
+// popup.document.body.append(popupEl('h1', popupEl('span', 'foo')))
+export const elFor = (targetDocument) => (descriptor, ...children) => (
+  withDocument(targetDocument, () => el(descriptor, ...children))
+)
+
+// Handle the mutations of a whole document
 // If an element is removed from the document then turn it off
 // Have to account for nodes being added to removed outside of the document
-const documentObserver = new MutationObserver((mutationList, mutationObserver) => {
+function onDocumentMutations (mutationList, mutationObserver) {
   // Compile a flat set of added/removed elements
   const addedAndRemovedElements = new Set()
   for (const mutationRecord of mutationList) {
     for (const addedNode of Array.from(mutationRecord.addedNodes)) {
-      if (addedNode.nodeType === Node.ELEMENT_NODE) {
+      if (addedNode.nodeType === ELEMENT_NODE) {
         addedAndRemovedElements.add(addedNode)
       }
     }
     for (const removedNode of Array.from(mutationRecord.removedNodes)) {
-      if (removedNode.nodeType === Node.ELEMENT_NODE) {
+      if (removedNode.nodeType === ELEMENT_NODE) {
         addedAndRemovedElements.add(removedNode)
       }
     }
   }
-  // Do stuff to the nodes
-  for (const mutatedElement of addedAndRemovedElements) {
+  updateSubtrees(addedAndRemovedElements, mutationObserver)
+}
+
+// Start or stop the elements with an elInterface in some subtrees
+// depending on whether they are now in the document
+function updateSubtrees (subtreeRoots, mutationObserver) {
+  // Collect the elements with an elInterface in tree order
+  const mutatedElements = []
+  for (const mutatedElement of subtreeRoots) {
     subtreeDo(mutatedElement, (element) => {
-      const elementElInterface = elCache.get(element)
-      if (elementElInterface) {
-        if (document.contains(element)) {
-          for (const obs of elementElInterface.observers) {
-            obs.start()
-          }
-        } else {
-          for (const obs of elementElInterface.observers) {
-            obs.stop()
-          }
-        }
-      }
+      // Start watching any shadow roots and frame documents on the way in
+      if (isShadowRoot(element)) mutationObserver.observe(element, { subtree: true, childList: true })
+      if (element.localName === 'iframe' && isInDocument(element)) watchFrame(element)
+      if (elCache.has(element)) mutatedElements.push(element)
     })
   }
+  // Do stuff to the nodes
+  for (const element of mutatedElements) {
+    const elementElInterface = elCache.get(element)
+    if (isInDocument(element)) {
+      for (const obs of elementElInterface.observers) {
+        obs.start()
+      }
+      for (const listener of elementElInterface.listeners) {
+        listener.start()
+      }
+    } else {
+      for (const obs of elementElInterface.observers) {
+        obs.stop()
+      }
+      for (const listener of elementElInterface.listeners) {
+        listener.stop()
+      }
+    }
+  }
+  // Lifecycle callbacks go parents first on mount and children first on unmount
+  // A throwing callback doesn't stop the rest. Its error is thrown at the end
+  const errorList = []
+  for (const element of mutatedElements) {
+    if (isInDocument(element)) mount(element, elCache.get(element), errorList)
+  }
+  for (const element of mutatedElements.reverse()) {
+    if (!isInDocument(element)) unmount(element, elCache.get(element), errorList)
+  }
+  throwLifecycleErrors(errorList)
+}
 
-})
-documentObserver.observe(document, { subtree: true, childList: true })
+// Run a mount callback and keep any cleanup it returns for unmounting
+function runMountCallback (element, elInterface, callback) {
+  const cleanup = callback.call(element, element)
+  if (typeof cleanup === 'function') elInterface.cleanups.push(cleanup)
+}
+
+// Run the lifecycle callbacks of an element entering or leaving the document
+// Flagged on the elInterface so moving an element around doesn't repeat them
+// Errors are collected into errorList so every callback still gets to run
+function mount (element, elInterface, errorList) {
+  if (elInterface.mounted) return
+  elInterface.mounted = true
+  for (const callback of elInterface.mountCallbacks) {
+    try {
+      runMountCallback(element, elInterface, callback)
+    } catch (error) { errorList.push(error) }
+  }
+}
+function unmount (element, elInterface, errorList) {
+  if (!elInterface.mounted) return
+  elInterface.mounted = false
+  for (const callback of [...elInterface.cleanups.splice(0), ...elInterface.unmountCallbacks]) {
+    try {
+      callback.call(element, element)
+    } catch (error) { errorList.push(error) }
+  }
+}
+
+// Consolidate errors from lifecycle callbacks the same way batch does
+function throwLifecycleErrors (errorList) {
+  if (errorList.length === 1) {
+    throw errorList[0]
+  } else if (errorList.length > 1) {
+    throw new CompoundError('Multiple errors from lifecycle callbacks', errorList)
+  }
+}
 
 // Tracks when observer comment placeholders are removed
 // When they are remove their partner as well and deactivate their observer
 // Maps the observer start end and observer itself to each other
 const observerTrios = new WeakMap()
-const commentObserver = new MutationObserver((mutationList, mutationObserver) => {
+function onCommentMutations (mutationList) {
   for (const mutationRecord of mutationList) {
     for (const removedNode of Array.from(mutationRecord.removedNodes)) {
+      // Nodes moved within the same parent are still in use so leave them be
+      if (removedNode.parentNode === mutationRecord.target) continue
       observerTrios.get(removedNode)?.clear()
     }
   }
-})
+}
 
+// Setup the mutation observers for a document the first time it is used
+// Each document gets observers from its own window so iframes and popups work
+// Documents without a window are skipped since nothing in them is ever
+// connected e.g. server documents and template contents
+// Elements might have been moved in before it was watched so start those too
+const documentWatchers = new WeakMap()
+function watchDocument (targetDocument) {
+  if (documentWatchers.has(targetDocument)) return documentWatchers.get(targetDocument)
+  const DocumentMutationObserver = targetDocument?.defaultView?.MutationObserver
+  const watcher = DocumentMutationObserver && {
+    documentObserver: new DocumentMutationObserver(onDocumentMutations),
+    commentObserver: new DocumentMutationObserver(onCommentMutations)
+  }
+  documentWatchers.set(targetDocument, watcher)
+  if (typeof watcher === 'undefined') return watcher
+  watcher.documentObserver.observe(targetDocument, { subtree: true, childList: true })
+  if (targetDocument.documentElement) {
+    updateSubtrees([targetDocument.documentElement], watcher.documentObserver)
+  }
+  return watcher
+}
+
+// Same origin frames in a watched document get their own document watched
+// so elements appended straight into it work without elFor
+// Navigating replaces the frame's document so it is checked again on load
+// Cross origin frames have no contentDocument and are skipped
+const watchedFrames = new WeakSet()
+function watchFrame (frame) {
+  if (!watchedFrames.has(frame)) {
+    watchedFrames.add(frame)
+    frame.addEventListener('load', () => watchFrame(frame))
+  }
+  if (frame.contentDocument) watchDocument(frame.contentDocument)
+}
+
+
+// Shadow roots given to el() by their host
+// Closed shadow roots can't be found through their host otherwise
+const shadowRoots = new WeakMap()
 
 // Helper function to do things to all elements in a subtree
+// Goes into the shadow roots of any elements along the way
+// The shadow root itself is passed to the callback before its contents
 function subtreeDo (target, callback) {
-  if (!(target instanceof Element)) throw new TypeError(
+  if (!isElement(target)) throw new TypeError(
     "target is not an instance of Element"
   )
   if (!(typeof callback === 'function')) throw new TypeError(
     "callback is not a function"
   )
-  const descendents = target.getElementsByTagName('*')
   callback(target)
-  for (const descendent of descendents) callback(descendent)
+  const shadowRoot = target.shadowRoot ?? shadowRoots.get(target)
+  if (shadowRoot) {
+    callback(shadowRoot)
+    for (const child of Array.from(shadowRoot.children)) subtreeDo(child, callback)
+  }
+  for (const child of Array.from(target.children)) subtreeDo(child, callback)
 }
 
+if (globalThis.document) watchDocument(globalThis.document)
+
 // Helper function to get all nodes between 2 nodes
 function getNodesBetween(startNode, endNode) {
   if (
@@ -116,6 +341,189 @@ function getNodesBetween(startNode, endNode) {
   return result
 }
 
+// Find the comment closing a bookend pair, skipping over nested pairs
+// Returns null if the closing comment is missing
+function findClosingComment (startNode, closingData) {
+  let depth = 0
+  for (let node = startNode.nextSibling; node !== null; node = node.nextSibling) {
+    if (node.nodeType !== COMMENT_NODE) continue
+    if (node.data === startNode.data) depth++
+    if (node.data !== closingData) continue
+    if (depth === 0) return node
+    depth--
+  }
+  return null
+}
+
+// Helper function to remove all nodes between 2 nodes
+// Any observer bookends caught in between get cleaned up with their observers
+function removeNodesBetween (startNode, endNode) {
+  for (const oldNode of getNodesBetween(startNode, endNode)) {
+    oldNode.remove()
+    observerTrios.get(oldNode)?.clear()
+  }
+}
+
+
+// Hydration state
+// While hydrating, el() calls with tag descriptors are deferred as placeholders
+// so that their parent can match them against the existing elements instead
+// Each element being hydrated keeps the next existing child node to claim
+let hydrating = false
+let hydrationCursors = new WeakMap()
+
+// Deferred el() call made while hydrating or for a shared tag
+// Class itself is not meant to be instantiated directly
+// Claim callbacks are called with the element once one is claimed for it
+// If it is appended instead then the element is created and kept for reuse
+class Placeholder {
+  constructor (descriptor, children) {
+    this.descriptor = descriptor
+    this.children = children
+    this.claimCallbacks = []
+    this.element = undefined
+  }
+}
+
+// Thrown when the existing markup does not match what the view would render
+export class HydrationError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'HydrationError'
+  }
+}
+
+// Short description of a node for hydration mismatch messages
+function describeNode (node) {
+  if (node === null || typeof node === 'undefined') return 'nothing'
+  if (node.nodeType === TEXT_NODE) return `text "${node.data}"`
+  if (node.nodeType === COMMENT_NODE) return `<!--${node.data}-->`
+  const id = node.id ? ` id="${node.id}"` : ''
+  const className = node.getAttribute('class')
+  return `<${node.localName}${id}${className ? ` class="${className}"` : ''}>`
+}
+
+function hydrationMismatch (parent, expected, found) {
+  throw new HydrationError(
+    `Hydration mismatch in ${describeNode(parent)}: expected ${expected} but found ${describeNode(found)}`
+  )
+}
+
+// Check that hydrating an element claimed all of its existing children
+function finishHydrating (element) {
+  const leftover = hydrationCursors.get(element)
+  if (leftover !== null) hydrationMismatch(element, 'nothing more', leftover)
+}
+
+// Create content for real in the middle of hydrating
+// Used for content which was never part of the markup like portals
+function withoutHydrating (execute) {
+  const wasHydrating = hydrating
+  hydrating = false
+  try {
+    return execute()
+  } finally {
+    hydrating = wasHydrating
+  }
+}
+
+// Work out the namespace and tag to create from the first descriptor word
+// HTML takes priority, then SVG, then MathML. Default to a HTML div otherwise
+// A namespace prefix like 'svg:a' skips the lookup
+function resolveTag (word) {
+  const [prefix, prefixedTag] = word.split(':')
+  if (
+    typeof prefixedTag !== 'undefined' &&
+    Object.prototype.hasOwnProperty.call(tagNamespaces, prefix)
+  ) {
+    return { namespace: tagNamespaces[prefix], tag: prefixedTag, prefix }
+  }
+  if (validHTMLTags.includes(word)) return { namespace: HTML_NAMESPACE, tag: word }
+  if (validSVGTags.includes(word)) return { namespace: SVG_NAMESPACE, tag: word }
+  if (validMathMLTags.includes(word)) return { namespace: MATHML_NAMESPACE, tag: word }
+  if (isCustomElementName(word)) return { namespace: HTML_NAMESPACE, tag: word }
+}
+
+// Check if a name is usable as a custom element tag
+// Needs a hyphen, must start with a lowercase letter, and have no uppercase
+// A handful of hyphenated names are reserved by SVG and MathML
+const reservedElementNames = Object.freeze([
+  'annotation-xml', 'color-profile', 'font-face', 'font-face-src',
+  'font-face-uri', 'font-face-format', 'font-face-name', 'missing-glyph'
+])
+const isCustomElementName = (name) => (
+  /^[a-z][^\sA-Z/>=]*-[^\sA-Z/>=]*$/.test(name) &&
+  !reservedElementNames.includes(name)
+)
+
+// Descriptors come in 2 forms
+// - Space separated: 'button primary' The first word is the tag if it is a
+//   valid one. The whole string becomes the class. Kept for compatibility
+// - Emmet-like: 'input#email.field[type=email][required]' Used whenever the
+//   first word contains a # . or [ The part before them is always the tag
+//   and is not added as a class. Any words after the first are extra classes
+// Strings starting with # . or [ are query selectors and never get here
+const descriptorPartPattern = /#([^\s#.[]+)|\.([^\s#.[]+)|\[\s*([^\s=\]]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]]*?))\s*)?\]/y
+function parseDescriptor (descriptor) {
+  const tagEnd = descriptor.search(/[\s#.[]/)
+  const tagWord = tagEnd === -1 ? descriptor : descriptor.slice(0, tagEnd)
+  if (tagEnd === -1 || /\s/.test(descriptor[tagEnd])) {
+    return { tagWord, classes: [descriptor], attributes: [], strict: false }
+  }
+  const parsed = { tagWord, classes: [], attributes: [], strict: true }
+  descriptorPartPattern.lastIndex = tagEnd
+  while (descriptorPartPattern.lastIndex < descriptor.length) {
+    const index = descriptorPartPattern.lastIndex
+    const match = descriptorPartPattern.exec(descriptor)
+    if (match === null) {
+      const rest = descriptor.slice(index)
+      if (!/^\s/.test(rest)) {
+        throw new SyntaxError(`Unable to parse descriptor "${descriptor}" at "${rest}"`)
+      }
+      parsed.classes.push(...rest.trim().split(/\s+/))
+      break
+    }
+    const [, id, className, attribute, doubleQuoted, singleQuoted, unquoted] = match
+    if (typeof id !== 'undefined') parsed.id = id
+    if (typeof className !== 'undefined') parsed.classes.push(className)
+    if (typeof attribute !== 'undefined') {
+      parsed.attributes.push([attribute, doubleQuoted ?? singleQuoted ?? unquoted ?? ''])
+    }
+  }
+  return parsed
+}
+
+// Set an attribute using its namespace if it has a known prefix
+// e.g. 'xlink:href' is set in the xlink namespace
+function setAttribute (element, attribute, value) {
+  const [prefix, localName] = attribute.split(':')
+  if (
+    typeof localName !== 'undefined' &&
+    Object.prototype.hasOwnProperty.call(attributeNamespaces, prefix)
+  ) {
+    element.setAttributeNS(attributeNamespaces[prefix], attribute, value)
+  } else {
+    element.setAttribute(attribute, value)
+  }
+}
+
+// Tags shared between namespaces like a and title can't be created until
+// el knows where they go so they are deferred like while hydrating
+// The parent creates them in its own namespace when they are appended
+// HTML goes in foreignObject and annotation-xml since they are meant for it
+// Give them a namespace prefix to create them straight away e.g. el('html:a')
+const htmlIntegrationPoints = Object.freeze(['foreignObject', 'annotation-xml'])
+const isSharedTag = (tag) => (
+  validHTMLTags.includes(tag) &&
+  (validSVGTags.includes(tag) || validMathMLTags.includes(tag))
+)
+function createIn (parent, { descriptor, children }) {
+  if (!isSharedTag(parseDescriptor(descriptor).tagWord)) return el(descriptor, ...children)
+  const namespace = parent.namespaceURI
+  const prefix = Object.keys(tagNamespaces).find(key => tagNamespaces[key] === namespace)
+  const inherits = prefix && prefix !== 'html' && !htmlIntegrationPoints.includes(parent.localName)
+  return el(`${inherits ? prefix : 'html'}:${descriptor}`, ...children)
+}
 
 // Simple check for a query selector over creating a tag
 // Problem is that a plain text string is a valid tag search
@@ -129,6 +537,45 @@ const isQuerySelector = (testString) => (
   )
 )
 
+// Explicit query descriptors for when the string shorthand is ambiguous
+// e.g. 'main > p' would otherwise be read as a tag with classes
+// Class itself is not meant to be instantiated directly
+// Accessed through the "query" and "queryAll" functions
+class Query {
+  constructor (selector, all) {
+    if (typeof selector !== 'string') {
+      throw new TypeError('Cannot create query with a non-string selector')
+    }
+    this.selector = selector
+    this.all = all
+  }
+}
+// An observer can only run in one element so every match gets its own copy
+// Portals render into a single target so they can't be shared between matches
+function copyForMatch (child) {
+  if (isObserver(child)) return observe(child.execute, { scheduler: child.scheduler })
+  if (child instanceof Portal) {
+    throw new TypeError('Cannot add a portal to every match of queryAll')
+  }
+  if (Array.isArray(child)) return child.map(copyForMatch)
+  return child
+}
+
+// el(query('main > p'), 'foo') wraps the first matching element
+// el(queryAll('li'), 'foo') wraps every matching element and returns an Array
+export const query = (selector) => new Query(selector, false)
+export const queryAll = (selector) => new Query(selector, true)
+
+// Find the single element a selector refers to
+// Fail loudly instead of letting a null element through
+function querySelf (selector) {
+  const result = currentDocument.querySelector(selector)
+  if (result === null) {
+    throw new RangeError(`el could not find an element matching "${selector}"`)
+  }
+  return result
+}
+
 // Main magic element wrapping function
 // First argument is the element to create or wrap
 // Subsequent arguments are children to attach
@@ -138,21 +585,61 @@ export const el = (descriptor, ...children) => {
   // If its an existing element dont do anything
   let self
   // Trivial case when given an element
-  if (descriptor instanceof Element) {
+  if (isElement(descriptor)) {
+    self = descriptor
+  // Shadow roots are filled like elements
+  // Their contents are watched separately since the document can't see in
+  } else if (isShadowRoot(descriptor)) {
+    self = descriptor
+    shadowRoots.set(self.host, self)
+    watchDocument(self.ownerDocument)?.documentObserver.observe(self, { subtree: true, childList: true })
+  // Other fragments like a template's content are filled the same way
+  // el(el('template').content, el('li', 'foo'))
+  } else if (descriptor?.nodeType === DOCUMENT_FRAGMENT_NODE) {
     self = descriptor
+  // More children for a deferred el() call are added to it
+  } else if (descriptor instanceof Placeholder && typeof descriptor.element === 'undefined') {
+    descriptor.children.push(...children)
+    return descriptor
+  } else if (descriptor instanceof Placeholder) {
+    self = descriptor.element
+  // Multi-match queries apply the same children to every element found
+  // Children are appended to each match in turn so elements will only end up
+  // in the last match. Use strings and functions to fill every match
+  // Observers are copied so each match runs its own
+  } else if (descriptor instanceof Query && descriptor.all) {
+    return Array.from(currentDocument.querySelectorAll(descriptor.selector))
+      .map(match => el(match, ...children.map(copyForMatch)))
+  } else if (descriptor instanceof Query) {
+    self = querySelf(descriptor.selector)
   // If its a selector then find the thing
   } else if (isQuerySelector(descriptor)) {
-    self = document.querySelector(descriptor)
-  // If its a valid html tag, then make a new html tag and add classes
-  // Default to div otherwise
+    self = querySelf(descriptor)
+  // If its a valid html, svg, or mathml tag, then make a new tag and add classes
+  // Default to div otherwise unless using the Emmet-like form
+  // Use setAttribute for classes since className is read only on SVG elements
+  // Claiming existing elements while hydrating is left to the parent
+  } else if (typeof descriptor === 'string' && hydrating) {
+    return new Placeholder(descriptor, children)
   } else if (typeof descriptor === 'string') {
-    const firstWord = descriptor.split(' ')[0]
-    const tag = validHTMLTags.includes(firstWord) ? firstWord : 'div'
-    const newElement = document.createElement(tag)
-    newElement.className = descriptor
+    const { tagWord, id, classes, attributes, strict } = parseDescriptor(descriptor)
+    const resolvedTag = resolveTag(tagWord)
+    if (typeof resolvedTag === 'undefined' && strict) {
+      throw new TypeError(`Unknown tag "${tagWord}" in descriptor "${descriptor}"`)
+    }
+    const { namespace, tag, prefix } = resolvedTag ?? { namespace: HTML_NAMESPACE, tag: 'div' }
+    if (!prefix && isSharedTag(tag)) return new Placeholder(descriptor, children)
+    const newElement = currentDocument.createElementNS(namespace, tag)
+    if (typeof id !== 'undefined') newElement.id = id
+    // Space separated classes include the tag word so strip any namespace prefix
+    if (!strict && prefix) classes[0] = classes[0].slice(prefix.length + 1)
+    if (classes.length > 0) newElement.setAttribute('class', classes.join(' '))
+    for (const [attribute, value] of attributes) {
+      setAttribute(newElement, attribute, value)
+    }
     self = newElement
   } else {
-    throw new TypeError('el descriptor expects string or existing Element')
+    throw new TypeError('el descriptor expects string, query, existing Element, or DocumentFragment')
   }
 
   // Now that we know who we are
@@ -164,11 +651,40 @@ export const el = (descriptor, ...children) => {
     elInterface = {
       // Map of observers to a Set of elements they create
       // Should this be weakrefmap?
-      observers: new Set() 
+      observers: new Set(),
+      // Event listeners attached with on()
+      // Detached and reattached alongside the observers
+      listeners: new Set(),
+      // Callbacks added with onMount() and onUnmount()
+      // Cleanups are the functions returned by the mount callbacks
+      mountCallbacks: [],
+      unmountCallbacks: [],
+      cleanups: [],
+      mounted: isInDocument(self)
     }
     elCache.set(self, elInterface)
   }
-  commentObserver.observe(self, { subtree: false, childList: true })
+  // Watch for removed comments with the observer of the element's own document
+  watchDocument(self.ownerDocument)?.commentObserver.observe(self, { subtree: false, childList: true })
+  // Content is created in the element's own document
+  const ownerDocument = self.ownerDocument
+  // Start claiming from the first child if hydrating
+  if (hydrating && !hydrationCursors.has(self)) {
+    hydrationCursors.set(self, self.firstChild)
+  }
+
+  // Insert a node into self
+  // Nodes inserted among portal content belong to the portal's owner too
+  function insert (node, insertionPoint) {
+    const portalOwner = insertionPoint && portalOwners.get(insertionPoint)
+    if (portalOwner) {
+      const insertedNodes = (node.nodeType === DOCUMENT_FRAGMENT_NODE)
+        ? Array.from(node.childNodes)
+        : [node]
+      insertedNodes.forEach(insertedNode => portalOwners.set(insertedNode, portalOwner))
+    }
+    self.insertBefore(node, insertionPoint)
+  }
 
   // For the children
   // If its a string, then just append it as a text node child
@@ -178,74 +694,86 @@ export const el = (descriptor, ...children) => {
   function append (child, insertionPoint) {
     // If the insertion point given is no longer attached
     // Then abort the insertion
-    if (insertionPoint && insertionPoint.parentElement !== self) return false
+    if (insertionPoint && insertionPoint.parentNode !== self) return false
     // Strings are just appended as text
     if (typeof child === 'string') {
-      const textNode = document.createTextNode(child)
-      self.insertBefore(textNode, insertionPoint)
+      const textNode = ownerDocument.createTextNode(child)
+      insert(textNode, insertionPoint)
     // Existing elements are just appended
-    } else if (child instanceof Element || child instanceof DocumentFragment) {
-      self.insertBefore(shuck(child), insertionPoint)
+    } else if (isInsertable(shuck(child))) {
+      insert(shuck(child), insertionPoint)
+    // Placeholders with no markup to claim make their element after all
+    // Created in the namespace of self for shared tags
+    } else if (child instanceof Placeholder) {
+      if (typeof child.element === 'undefined') {
+        child.element = createIn(self, child)
+        child.claimCallbacks.forEach(callback => callback(child.element))
+      }
+      append(child.element, insertionPoint)
     // Promises get an immediate placeholder before they resolve
     // If the placeholder is removed before the promise resolves. Nothing happens
     // With observers, this means only the latest promise will get handled
-    } else if (child instanceof Promise) {
-      const promisePlaceholder = document.createComment('promisePlaceholder')
-      self.insertBefore(promisePlaceholder, insertionPoint)
-      child.then(value => {
-        append(value, promisePlaceholder)
-        promisePlaceholder.remove()
-      })
+    // Any thenable works. Wrap it with awaiting() to show pending/rejected content
+    } else if (child instanceof Awaiting || typeof child?.then === 'function') {
+      const { promise, pending, rejected } = (child instanceof Awaiting)
+        ? child
+        : { promise: child }
+      const promisePlaceholder = ownerDocument.createComment('promisePlaceholder')
+      insert(promisePlaceholder, insertionPoint)
+      // Pending content lives between its own marker and the placeholder
+      // so it can be cleared out once the promise settles
+      let pendingStartNode
+      if (typeof pending !== 'undefined') {
+        pendingStartNode = ownerDocument.createComment('promisePending')
+        insert(pendingStartNode, promisePlaceholder)
+        append(pending, promisePlaceholder)
+      }
+      awaitPromise(promise, rejected, promisePlaceholder, pendingStartNode)
     // Observers work similarly to functions
     // but with comment "bookends" on to demark their position
     // On initial commitment. Observers work like normal functions
     // On subsequent triggers. Observers first clear everything
     // between bookends
     } else if (isObserver(child)) {
-      elInterface.observers.add(child)
       // Start with the bookends marking the observer domain
-      const observerStartNode = document.createComment('observerStart')
-      const observerEndNode = document.createComment('observerEnd')
-      self.insertBefore(observerStartNode, insertionPoint)
-      self.insertBefore(observerEndNode, insertionPoint)
-      // Keep a mapping of the bookends to the observer
-      // Lets the observer be cleaned up when the owning comment is removed
-      const observerTrio = {
-        start: observerStartNode,
-        end: observerEndNode,
-        observer: child,
-        clear: function() {
-          this.start.remove()
-          this.end.remove()
-          this.observer.stop
-          elInterface.observers.delete(this.observer)
-        }
-      }
-      observerTrios.set(observerStartNode, observerTrio)
-      observerTrios.set(observerEndNode, observerTrio)
-      observerTrios.set(child, observerTrio)
-
-      // Observe the observer to append the results
-      // Check if the bookmarks are still attached before acting
-      // Clear everything in between the bookmarks (including observers)
-      // Then insert new content between them
-      observe(() => {
-        const result = child.value
-        if (typeof result !== 'undefined' && observerEndNode.parentNode === self) {
-          const oldChildren = getNodesBetween(observerStartNode, observerEndNode)
-          for (const oldChild of oldChildren) {
-            oldChild.remove()
-            observerTrios.get(oldChild)?.clear()
-          }
-          append(result, observerEndNode)
-        }
-      }).start()
-      // Kickoff the observer with a context of self
-      child.setContext(self)
-      child.stop()
-      child.start()
-      // If it is not yet in the document then stop observer from triggering further
-      if (!document.contains(self)) child.stop()
+      const observerStartNode = ownerDocument.createComment('observerStart')
+      const observerEndNode = ownerDocument.createComment('observerEnd')
+      insert(observerStartNode, insertionPoint)
+      insert(observerEndNode, insertionPoint)
+      watchObserver(child, observerStartNode, observerEndNode)
+
+    // Signals are reactive children by observing their value
+    } else if (isSignal(child)) {
+      append(observe(() => child()), insertionPoint)
+
+    // Keyed lists get their own bookends with each item's nodes in between
+    } else if (child instanceof Each) {
+      const eachStartNode = ownerDocument.createComment('eachStart')
+      const eachEndNode = ownerDocument.createComment('eachEnd')
+      insert(eachStartNode, insertionPoint)
+      insert(eachEndNode, insertionPoint)
+      watchEach(child, eachStartNode, eachEndNode)
+
+    // Event listeners are attached straight away
+    // Afterwards they follow the element in and out of the document
+    } else if (child instanceof Listener) {
+      addListener(child)
+
+    // Lifecycle callbacks wait for the element to enter or leave the document
+    } else if (child instanceof Lifecycle) {
+      addLifecycle(child)
+
+    // Provided values are stored for descendents to inject
+    } else if (child instanceof Provision) {
+      const { key, value } = shuck(child)
+      provideValue(self, elInterface, key, value)
+
+    // Portals leave a marker behind and render their children into the target
+    // Shucked so the target isn't reached through a Reactor from an observer
+    } else if (child instanceof Portal) {
+      const portalMarker = ownerDocument.createComment('portal')
+      insert(portalMarker, insertionPoint)
+      addPortal(shuck(child), portalMarker)
 
     // Need this to come after cos observers are functions themselves
     // we use call(self, self) to provide this for traditional functions
@@ -254,6 +782,9 @@ export const el = (descriptor, ...children) => {
       const result = child.call(self, self)
       // TODO wrap this in a try block (fail cleanly if nothing to append?)
       if (typeof result !== 'undefined') append(result, insertionPoint)
+    // Plain objects are maps of attributes, properties, and event listeners
+    } else if (isPlainObject(shuck(child))) {
+      applyProps(self, shuck(child))
     // Arrays are handled recursively
     // Works for any sort of iterable
     } else if (typeof child?.[Symbol.iterator] === 'function' ) {
@@ -262,31 +793,1014 @@ export const el = (descriptor, ...children) => {
       }
     // Anything else isnt meant to be appended
     } else {
-      throw new TypeError('expects string, function, an Element, or an Array of them')
+      throw new TypeError('expects string, function, an Element, a props object, or an Array of them')
+    }
+  }
+
+  // Hydration counterpart to append
+  // Instead of inserting new nodes, each child claims the existing nodes
+  // it would have created, starting from the element's hydration cursor
+  // Observers, keyed lists, and promises are attached to their existing bookends
+  function claim (child) {
+    const node = hydrationCursors.get(self)
+    // Strings claim matching text
+    // Adjacent strings come back from markup as a single text node
+    // so split off just the part this string would have made
+    if (typeof child === 'string') {
+      if (child === '') return
+      if (node?.nodeType !== TEXT_NODE || !node.data.startsWith(child)) {
+        hydrationMismatch(self, `text "${child}"`, node)
+      }
+      if (node.data.length > child.length) node.splitText(child.length)
+      hydrationCursors.set(self, node.nextSibling)
+    // Deferred el() calls claim an element with the same tag
+    // and then hydrate its children against that element
+    } else if (child instanceof Placeholder) {
+      const { tagWord } = parseDescriptor(child.descriptor)
+      const { tag } = resolveTag(tagWord) ?? { tag: 'div' }
+      if (!isElement(node) || node.localName !== tag) hydrationMismatch(self, `<${tag}>`, node)
+      hydrationCursors.set(self, node.nextSibling)
+      el(node, ...child.children)
+      finishHydrating(node)
+      child.claimCallbacks.forEach(callback => callback(node))
+    // Existing elements were never part of the markup so insert them as normal
+    } else if (isInsertable(shuck(child))) {
+      if (shuck(child) === node) hydrationCursors.set(self, node.nextSibling)
+      else append(child, node)
+    } else if (child instanceof Awaiting || typeof child?.then === 'function') {
+      const { promise, pending, rejected } = (child instanceof Awaiting)
+        ? child
+        : { promise: child }
+      let pendingStartNode
+      if (typeof pending !== 'undefined') {
+        pendingStartNode = claimComment('promisePending')
+        claim(pending)
+      }
+      const promisePlaceholder = claimComment('promisePlaceholder')
+      awaitPromise(promise, rejected, promisePlaceholder, pendingStartNode)
+    } else if (isObserver(child)) {
+      const observerStartNode = claimComment('observerStart')
+      const observerEndNode = findClosingComment(observerStartNode, 'observerEnd')
+      if (observerEndNode === null) hydrationMismatch(self, '<!--observerEnd-->', null)
+      watchObserver(child, observerStartNode, observerEndNode, true)
+    } else if (isSignal(child)) {
+      claim(observe(() => child()))
+    } else if (child instanceof Each) {
+      const eachStartNode = claimComment('eachStart')
+      const eachEndNode = findClosingComment(eachStartNode, 'eachEnd')
+      if (eachEndNode === null) hydrationMismatch(self, '<!--eachEnd-->', null)
+      watchEach(child, eachStartNode, eachEndNode, true)
+    } else if (child instanceof Listener) {
+      addListener(child)
+    } else if (child instanceof Lifecycle) {
+      addLifecycle(child)
+    } else if (child instanceof Provision) {
+      const { key, value } = shuck(child)
+      provideValue(self, elInterface, key, value)
+    } else if (child instanceof Portal) {
+      addPortal(shuck(child), claimComment('portal'))
+    } else if (typeof child === 'function') {
+      const result = child.call(self, self)
+      if (typeof result !== 'undefined') claim(result)
+    } else if (isPlainObject(shuck(child))) {
+      applyProps(self, shuck(child))
+    } else if (typeof child?.[Symbol.iterator] === 'function') {
+      for (const grandChild of child) {
+        claim(grandChild)
+      }
+    } else {
+      throw new TypeError('expects string, function, an Element, a props object, or an Array of them')
+    }
+  }
+
+  // Claim the next existing node as a bookend comment
+  function claimComment (data) {
+    const node = hydrationCursors.get(self)
+    if (node?.nodeType !== COMMENT_NODE || node.data !== data) {
+      hydrationMismatch(self, `<!--${data}-->`, node)
+    }
+    hydrationCursors.set(self, node.nextSibling)
+    return node
+  }
+
+  // Check that the claimed nodes reached the end bookend
+  // Afterwards carry on claiming from after it
+  function claimEnd (endNode) {
+    const leftover = hydrationCursors.get(self)
+    if (leftover !== endNode) hydrationMismatch(self, `<!--${endNode.data}-->`, leftover)
+    hydrationCursors.set(self, endNode.nextSibling)
+  }
+
+  // Replace the placeholder with the settled promise's value
+  // If the placeholder is removed before the promise settles. Nothing happens
+  // With observers, this means only the latest promise will get handled
+  // Errors rendering the value are reported and the placeholder is still removed
+  function awaitPromise (promise, rejected, promisePlaceholder, pendingStartNode) {
+    const isStale = () => promisePlaceholder.parentNode !== self
+    const settle = (render) => {
+      if (isStale()) return
+      if (pendingStartNode?.parentNode === self) {
+        removeNodesBetween(pendingStartNode, promisePlaceholder)
+        pendingStartNode.remove()
+      }
+      try {
+        const value = render()
+        if (typeof value !== 'undefined') append(value, promisePlaceholder)
+      } catch (error) {
+        reportUncaught(error)
+      } finally {
+        promisePlaceholder.remove()
+      }
+    }
+    Promise.resolve(promise).then(
+      (value) => settle(() => value),
+      (error) => {
+        if (rejected) settle(() => rejected(error))
+        // Without a rejected renderer the rejection is left unhandled as normal
+        // Unless the placeholder is gone and nothing is waiting on it anymore
+        else if (!isStale()) throw error
+      }
+    )
+  }
+
+  // Run an observer child between its bookends
+  // When hydrating, its first result claims the existing nodes in between
+  function watchObserver (child, observerStartNode, observerEndNode, claiming = false) {
+    addObserverTrio(observerStartNode, observerEndNode, child)
+    // Kickoff the observer with a context of self
+    child.setContext(self)
+    child.stop()
+    child.start()
+    // Observe the observer to append the results
+    // Check if the bookmarks are still attached before acting
+    // Reuse the existing node if the result is the same kind of node
+    // - A string result updates a lone text node in place
+    // - The same element returned again is left where it is
+    // Otherwise clear everything in between the bookmarks (including observers)
+    // Then insert new content between them
+    observe(() => {
+      const result = child.value
+      if (claiming) {
+        claiming = false
+        hydrationCursors.set(self, observerStartNode.nextSibling)
+        if (typeof result !== 'undefined') claim(result)
+        claimEnd(observerEndNode)
+      } else if (typeof result !== 'undefined' && observerEndNode.parentNode === self) {
+        const oldNodes = getNodesBetween(observerStartNode, observerEndNode)
+        const [oldNode] = oldNodes
+        if (oldNodes.length === 1 && typeof result === 'string' && oldNode.nodeType === TEXT_NODE) {
+          if (oldNode.data !== result) oldNode.data = result
+        } else if (!(oldNodes.length === 1 && shuck(result) === oldNode)) {
+          removeNodesBetween(observerStartNode, observerEndNode)
+          append(result, observerEndNode)
+          startInserted(getNodesBetween(observerStartNode, observerEndNode))
+        }
+      }
+    }, domUpdates).start()
+    // If it is not yet in the document then stop observer from triggering further
+    if (!isInDocument(self)) child.stop()
+  }
+
+  // Run a keyed list between its bookends
+  // On every trigger the list is diffed by key against the rendered items
+  // Existing nodes are moved into place and only changed items are
+  // created or removed. Items are only rendered once so any reactivity
+  // within an item should come from observers inside it
+  // When hydrating, the first items claim the existing nodes in between
+  function watchEach (child, eachStartNode, eachEndNode, claiming = false) {
+    // Map of keys to the top level nodes rendered for that item
+    let renderedItems = new Map()
+    // Render an item at the end of the list and capture the nodes it made
+    const renderItem = (item) => {
+      const itemMarker = ownerDocument.createComment('eachItem')
+      insert(itemMarker, eachEndNode)
+      unobserve(() => append(child.render(item), eachEndNode))
+      const itemNodes = getNodesBetween(itemMarker, eachEndNode)
+      itemMarker.remove()
+      startInserted(itemNodes)
+      return itemNodes
+    }
+    // Claim an item from the existing nodes and capture the nodes it took
+    const claimItem = (item) => {
+      const firstNode = hydrationCursors.get(self)
+      unobserve(() => claim(child.render(item)))
+      const itemNodes = []
+      const lastNode = hydrationCursors.get(self)
+      for (let node = firstNode; node !== lastNode; node = node.nextSibling) {
+        itemNodes.push(node)
+      }
+      return itemNodes
+    }
+    const eachObserver = observe(() => {
+      if (eachEndNode.parentNode !== self) return
+      const list = (typeof child.list === 'function') ? child.list() : child.list
+      if (claiming) hydrationCursors.set(self, eachStartNode.nextSibling)
+      // Work out the new set of items, reusing the nodes of existing keys
+      const nextItems = new Map()
+      for (const item of list) {
+        const key = child.key(item)
+        if (nextItems.has(key)) {
+          throw new RangeError(`each found a duplicate key "${String(key)}"`)
+        }
+        nextItems.set(key, renderedItems.get(key) ?? (claiming ? claimItem(item) : renderItem(item)))
+      }
+      if (claiming) {
+        claiming = false
+        claimEnd(eachEndNode)
+      }
+      // Remove the nodes of items which are no longer present
+      for (const [key, itemNodes] of renderedItems) {
+        if (nextItems.has(key)) continue
+        for (const itemNode of itemNodes) {
+          itemNode.remove()
+          observerTrios.get(itemNode)?.clear()
+        }
+      }
+      // Walk through the list and only move nodes which are out of place
+      let currentNode = eachStartNode.nextSibling
+      for (const itemNodes of nextItems.values()) {
+        for (const itemNode of itemNodes) {
+          if (itemNode === currentNode) currentNode = currentNode.nextSibling
+          else insert(itemNode, currentNode)
+        }
+      }
+      renderedItems = nextItems
+    }, domUpdates)
+    addObserverTrio(eachStartNode, eachEndNode, eachObserver)
+    eachObserver.start()
+    // If it is not yet in the document then stop observer from triggering further
+    if (!isInDocument(self)) eachObserver.stop()
+  }
+
+  // Start what an observer just inserted into the document now instead of
+  // when the mutation observer gets to it so it reacts to the very next change
+  function startInserted (nodes) {
+    const watcher = isInDocument(self) && watchDocument(ownerDocument)
+    if (watcher) updateSubtrees(nodes.filter(isElement), watcher.documentObserver)
+  }
+
+  // Keep a mapping of the bookends to the observer
+  // Lets the observer be cleaned up when the owning comment is removed
+  function addObserverTrio (startNode, endNode, observer) {
+    elInterface.observers.add(observer)
+    const observerTrio = {
+      start: startNode,
+      end: endNode,
+      observer,
+      clear: function () {
+        this.start.remove()
+        this.end.remove()
+        this.observer.stop()
+        elInterface.observers.delete(this.observer)
+      }
     }
+    observerTrios.set(startNode, observerTrio)
+    observerTrios.set(endNode, observerTrio)
+    observerTrios.set(observer, observerTrio)
   }
-  children.forEach((child) => append(child))
+
+  // Wrap the handler to apply the modifiers and delegation
+  // Handlers are called with the matched element as `this` like functions are
+  // Once is handled here instead of natively so delegated misses don't count
+  function addListener ({ type, handler, options }) {
+    const { once, passive, capture, prevent, stop, selector } = options
+    let attached = false
+    const listenerRecord = {
+      start () {
+        if (attached) return false
+        self.addEventListener(type, wrappedHandler, { passive, capture })
+        attached = true
+        return true
+      },
+      stop () {
+        if (!attached) return false
+        self.removeEventListener(type, wrappedHandler, { capture })
+        attached = false
+        return true
+      }
+    }
+    function wrappedHandler (event) {
+      let target = self
+      if (typeof selector !== 'undefined') {
+        target = event.target.closest?.(selector)
+        if (!target || !self.contains(target)) return
+      }
+      if (once) {
+        listenerRecord.stop()
+        elInterface.listeners.delete(listenerRecord)
+      }
+      if (prevent) event.preventDefault()
+      if (stop) event.stopPropagation()
+      return handler.call(target, event, target)
+    }
+    elInterface.listeners.add(listenerRecord)
+    listenerRecord.start()
+  }
+
+  // Portal content only exists while this element is in the document
+  // It is started and stopped alongside the observers
+  // Stopping removes the content and its observers. Starting renders it again
+  // The marker is tracked like bookends so clearing it removes the portal
+  function addPortal ({ target, children }, portalMarker) {
+    let portalStartNode
+    let portalEndNode
+    const portalRecord = {
+      start () {
+        if (typeof portalStartNode !== 'undefined') return false
+        portalStartNode = target.ownerDocument.createComment('portalStart')
+        portalEndNode = target.ownerDocument.createComment('portalEnd')
+        target.appendChild(portalStartNode)
+        // Portal content is never in the markup so it is always created
+        withoutHydrating(() => el(target, ...children))
+        target.appendChild(portalEndNode)
+        for (const portalNode of getNodesBetween(portalStartNode, portalEndNode)) {
+          portalOwners.set(portalNode, self)
+        }
+        return true
+      },
+      stop () {
+        if (typeof portalStartNode === 'undefined') return false
+        if (portalEndNode.parentNode === portalStartNode.parentNode) {
+          removeNodesBetween(portalStartNode, portalEndNode)
+        }
+        portalStartNode.remove()
+        portalEndNode.remove()
+        portalStartNode = portalEndNode = undefined
+        return true
+      },
+      clear () {
+        portalMarker.remove()
+        this.stop()
+        elInterface.observers.delete(this)
+      }
+    }
+    elInterface.observers.add(portalRecord)
+    observerTrios.set(portalMarker, portalRecord)
+    if (isInDocument(self)) portalRecord.start()
+  }
+
+  // Elements already in the document run new mount callbacks straight away
+  function addLifecycle ({ phase, callback }) {
+    if (phase === 'unmount') {
+      elInterface.unmountCallbacks.push(callback)
+      return
+    }
+    elInterface.mountCallbacks.push(callback)
+    if (elInterface.mounted) runMountCallback(self, elInterface, callback)
+    else if (isInDocument(self)) {
+      const errorList = []
+      mount(self, elInterface, errorList)
+      throwLifecycleErrors(errorList)
+    }
+  }
+
+  children.forEach((child) => hydrating ? claim(child) : append(child))
 
   // Return the raw DOM element
   // Magic wrapping held in a pocket dimension outside of time and space
   return self
 }
 
+// Attach a view to markup that was already rendered into root
+// e.g. the output of renderToString sent from a server
+// The view is applied to root like an el() child but claims the existing
+// nodes instead of creating new ones. Observers, keyed lists, and promises
+// are attached to their existing bookend comments so nothing is rebuilt
+// Throws a HydrationError wherever the markup differs from the view
+// el() returns placeholders rather than elements while the view runs
+// hydrate(document.body, () => el('app', ob(() => rx.title)))
+export function hydrate (root, view) {
+  if (!isElement(root)) {
+    throw new TypeError('hydrate expects an existing Element as root')
+  }
+  hydrating = true
+  try {
+    el(root, view)
+    finishHydrating(root)
+  } finally {
+    hydrating = false
+    hydrationCursors = new WeakMap()
+  }
+  return root
+}
+
+
+// Apply a value which might be reactive to an element
+// Functions and observers are run as observers owned by the element
+// so they start and stop with it like observer children do
+// They have no bookends since they only ever touch a single attribute or property
+function bindValue ($, value, apply, updates = domUpdates) {
+  if (typeof value !== 'function') return apply(value)
+  const observer = isObserver(value) ? value : observe(value)
+  elCache.get(el($)).observers.add(observer)
+  // Kickoff the observer with a context of the element
+  // before applying so apply only ever sees computed values
+  observer.setContext($)
+  observer.stop()
+  observer.start()
+  observe(() => apply(observer.value), updates).start()
+  // If it is not yet in the document then stop observer from triggering further
+  if (!isInDocument($)) observer.stop()
+}
+
+// Check for objects made with {} or Object.create(null)
+const isPlainObject = (candidate) => {
+  if (typeof candidate !== 'object' || candidate === null) return false
+  const prototype = Object.getPrototypeOf(candidate)
+  return prototype === Object.prototype || prototype === null
+}
+
+// Check if a property can be assigned on an element
+// Walks the prototype chain looking for a setter or writable value
+// Read only properties like input.list are left to setAttribute instead
+function isWritableProperty (element, property) {
+  let target = element
+  while (target !== null) {
+    const descriptor = Object.getOwnPropertyDescriptor(target, property)
+    if (descriptor) return Boolean(descriptor.set || descriptor.writable)
+    target = Object.getPrototypeOf(target)
+  }
+  return false
+}
+
+// Route each key of a props object to the right place
+// - on* keys with functions become event listeners
+// - class and className go through cls
+// - style objects go through style
+// - dataset objects are set on the dataset
+// - writable properties of HTML elements are assigned directly e.g. value
+// - anything else is set as an attribute e.g. aria-label or SVG attributes
+// Functions and observers are bound reactively for everything except listeners
+// el('input', { type: 'text', value: () => rx.name, oninput: handler })
+function applyProps ($, props) {
+  for (const [key, value] of Object.entries(props)) {
+    if (key.startsWith('on') && typeof value === 'function' && !isObserver(value)) {
+      el($, on(key.slice(2).toLowerCase(), value))
+    } else if (key === 'class' || key === 'className') {
+      cls(value)($)
+    } else if (key === 'style' && isPlainObject(shuck(value))) {
+      style(shuck(value))($)
+    } else if (key === 'dataset' && isPlainObject(shuck(value))) {
+      for (const [dataKey, dataValue] of Object.entries(shuck(value))) {
+        bindValue($, dataValue, (currentValue) => {
+          if (currentValue === null || typeof currentValue === 'undefined') {
+            delete $.dataset[dataKey]
+          } else {
+            $.dataset[dataKey] = currentValue
+          }
+        })
+      }
+    } else if ($.namespaceURI === HTML_NAMESPACE && isWritableProperty($, key)) {
+      bindValue($, value, (currentValue) => { $[key] = currentValue })
+    } else {
+      attr(key, value)($)
+    }
+  }
+}
 
 // shorthand for attribute setting
 // el('foo', attribute('id', 'bar'))
+// Prefixed attributes like 'xlink:href' are set in their namespace
+// Functions and observers update the attribute reactively
+// A null or undefined value removes the attribute
+// el('foo', attr('id', () => rx.id))
 export function attr (attribute, value) {
   return ($) => {
-    $.setAttribute(attribute, value)
+    bindValue($, value, (currentValue) => {
+      if (currentValue === null || typeof currentValue === 'undefined') {
+        $.removeAttribute(attribute)
+      } else {
+        setAttribute($, attribute, currentValue)
+      }
+    })
+  }
+}
+
+// shorthand for adding classes
+// Takes a string, an Array of strings, or an object of class names to toggle
+// Toggles can be functions or observers to update them reactively
+// A function or observer returning a string or Array also works
+// el('foo', cls({ active: () => rx.selected }))
+export function cls (classes) {
+  return ($) => {
+    // Object toggles are each bound separately so they update independently
+    if (
+      typeof classes === 'object' && classes !== null &&
+      typeof classes[Symbol.iterator] !== 'function'
+    ) {
+      for (const [className, toggle] of Object.entries(classes)) {
+        bindValue($, toggle, (currentToggle) => {
+          $.classList.toggle(className, Boolean(currentToggle))
+        })
+      }
+      return
+    }
+    // Lists of classes replace whichever classes they added last time
+    let appliedClasses = []
+    bindValue($, classes, (currentClasses) => {
+      if (typeof currentClasses === 'string') {
+        currentClasses = currentClasses.split(/\s+/).filter(Boolean)
+      }
+      currentClasses = Array.from(currentClasses ?? [])
+      $.classList.remove(...appliedClasses.filter(
+        className => !currentClasses.includes(className)
+      ))
+      $.classList.add(...currentClasses)
+      appliedClasses = currentClasses
+    })
+  }
+}
+
+// shorthand for setting inline styles
+// Takes an object of style properties in camelCase, kebab-case, or --custom
+// Values can be functions or observers to update them reactively
+// A null or undefined value removes the property
+// el('foo', style({ width: () => rx.width + 'px' }))
+export function style (styles) {
+  return ($) => {
+    for (const [property, value] of Object.entries(styles)) {
+      bindValue($, value, (currentValue) => {
+        if (property.includes('-')) {
+          if (currentValue === null || typeof currentValue === 'undefined') {
+            $.style.removeProperty(property)
+          } else {
+            $.style.setProperty(property, currentValue)
+          }
+        } else {
+          $.style[property] = currentValue ?? ''
+        }
+      })
+    }
+  }
+}
+
+// Make a component from a render function
+// Calling the component with props renders it and returns its root element
+// Props are given to render as a Reactor so observers inside it can follow them
+// - A Reactor passed as props is used directly so the parent can keep updating it
+// - Otherwise a Reactor is made from the props object
+//   Observer props are kept in sync with their observer's value
+// ctx.observe makes observers owned by the component. They start and stop with
+// its root element instead of running forever once it's been removed
+// Rendering doesn't track dependencies so a component made inside an observer
+// is not made again every time its props change
+// While hydrating, the root is taken over once its element has been claimed
+// const Counter = component((props, ctx) => {
+//   const state = new Reactor({ count: 0 })
+//   ctx.observe(() => console.log(props.label, state.count))
+//   return el('button', on('click', () => state.count++), ob(() => props.label))
+// })
+// el('app', Counter({ label: ob(() => rx.label) }))
+export function component (render) {
+  if (typeof render !== 'function') {
+    throw new TypeError('Cannot create component with a non-function render')
+  }
+  return (props = {}) => {
+    // Observers made before the root exists are held until it does
+    // Afterwards they go straight into the root's observers
+    let ownedObservers = new Set()
+    let isActive = () => true
+    const own = (observer) => {
+      ownedObservers.add(observer)
+      if (isActive()) observer.start()
+      return observer
+    }
+    const ctx = {
+      observe: (execute) => own(observe(execute))
+    }
+    let reactiveProps = props
+    if (!isReactor(props)) {
+      reactiveProps = new Reactor()
+      for (const [key, value] of Object.entries(props)) {
+        if (isObserver(value)) {
+          own(value)
+          own(observe(() => { reactiveProps[key] = value.value }))
+        } else {
+          reactiveProps[key] = value
+        }
+      }
+    }
+    const adoptRoot = (root) => {
+      const rootInterface = elCache.get(el(root))
+      for (const observer of ownedObservers) rootInterface.observers.add(observer)
+      // If it is not yet in the document then stop observers from triggering further
+      if (!isInDocument(root)) ownedObservers.forEach(observer => observer.stop())
+      ownedObservers = rootInterface.observers
+      isActive = () => isInDocument(root)
+    }
+    const root = unobserve(() => render(reactiveProps, ctx))
+    // While hydrating the root is a placeholder until its parent claims an element
+    if (root instanceof Placeholder) {
+      root.claimCallbacks.push(adoptRoot)
+      return root
+    }
+    if (!isElement(root)) {
+      throw new TypeError('component render must return an Element')
+    }
+    adoptRoot(root)
+    return root
+  }
+}
+
+// Register a custom element which renders itself through el()
+// Observed attributes are exposed to render as a Reactor
+// so observers inside it update when the attributes change
+// Rendering happens the first time the element is connected
+// defineElement('user-card', (attributes, $) => [
+//   el('h2', ob(() => attributes.name)),
+//   el('p', ob(() => attributes['user-role']))
+// ], { attributes: ['name', 'user-role'] })
+export function defineElement (name, render, { attributes = [] } = {}) {
+  if (!isCustomElementName(name)) {
+    throw new SyntaxError(`"${name}" is not a valid custom element name`)
+  }
+  if (typeof render !== 'function') {
+    throw new TypeError('Cannot define element with a non-function render')
+  }
+  const observedAttributes = Object.freeze([...attributes])
+  class ElementaryElement extends globalThis.HTMLElement {
+    static get observedAttributes () { return observedAttributes }
+    #attributes = new Reactor(Object.fromEntries(
+      observedAttributes.map(attribute => [attribute, null])
+    ))
+
+    #rendered = false
+
+    connectedCallback () {
+      if (this.#rendered) return
+      this.#rendered = true
+      el(this, ($) => render(this.#attributes, $))
+    }
+
+    attributeChangedCallback (attribute, oldValue, newValue) {
+      this.#attributes[attribute] = newValue
+    }
+  }
+  globalThis.customElements.define(name, ElementaryElement)
+  return ElementaryElement
+}
+
+// Wrapper for event listeners
+// Class itself is not meant to be instantiated directly
+// Accessed through the "on" function
+class Listener {
+  constructor (type, handler, options = {}) {
+    if (typeof type !== 'string') {
+      throw new TypeError('Cannot listen to a non-string event type')
+    }
+    if (typeof handler !== 'function') {
+      throw new TypeError('Cannot listen with a non-function handler')
+    }
+    this.type = type
+    this.handler = handler
+    this.options = options
   }
 }
 
-// shorthand for binding 
+// shorthand for event listeners
+// Any number of listeners can be added for the same event
+// Options are once, passive, capture, prevent (preventDefault),
+// stop (stopPropagation), and selector for delegating to matching descendants
+// el('ul', on('click', (event, $) => $.remove(), { selector: 'li' }))
+export const on = (type, handler, options) => new Listener(type, handler, options)
+
+// Wrapper for lifecycle callbacks
+// Class itself is not meant to be instantiated directly
+// Accessed through the "onMount" and "onUnmount" functions
+class Lifecycle {
+  constructor (phase, callback) {
+    if (typeof callback !== 'function') {
+      throw new TypeError(`Cannot ${phase} with a non-function callback`)
+    }
+    this.phase = phase
+    this.callback = callback
+  }
+}
+
+// shorthand for lifecycle callbacks
+// Called with the element once it enters or leaves the document
+// Parents are mounted before their children and unmounted after them
+// A mount callback can return a cleanup function to be called on unmount
+// el('canvas', onMount(($) => {
+//   const chart = new Chart($)
+//   return () => chart.destroy()
+// }))
+export const onMount = (callback) => new Lifecycle('mount', callback)
+export const onUnmount = (callback) => new Lifecycle('unmount', callback)
+
+// Wrapper for values provided to descendents
+// Class itself is not meant to be instantiated directly
+// Accessed through the "provide" function
+class Provision {
+  constructor (key, value) {
+    this.key = key
+    this.value = value
+  }
+}
+
+// Reactors to signal what a node provides changed
+// Made for a node when it provides or an injecting observer looks through it
+// so injecting observers only depend on the nodes above them
+const provisionChanges = new WeakMap()
+function changesOf (node) {
+  if (!provisionChanges.has(node)) provisionChanges.set(node, new Reactor({ count: 0 }))
+  return provisionChanges.get(node)
+}
+
+// Values provided by an element are kept on its elInterface
+// Only made once something is provided since most elements never provide anything
+// Values are kept outside the Reactor so they come back exactly as provided
+function provideValue (element, elInterface, key, value) {
+  elInterface.provisions ??= new Map()
+  elInterface.provisions.set(key, value)
+  unobserve(() => { changesOf(element).count++ })
+}
+
+// Portal content is looked up through the element the portal is in
+// Maps the top level nodes of portal content to that element
+const portalOwners = new WeakMap()
+
+// Get the next node up to look for provided values in
+// Shadow roots go to their host and portal content goes to its owner
+function providerParentOf (node) {
+  if (isShadowRoot(node)) return node.host
+  return portalOwners.get(node) ?? node.parentNode
+}
+
+// shorthand for providing a value to every descendent
+// Any key works. Descendents get the value with inject
+// Providing the same key again updates the observers which injected it
+// el('app', provide('theme', themeReactor), el('main', ...))
+export const provide = (key, value) => new Provision(key, value)
+
+// Get the closest value provided for key by the element or its ancestors
+// The element is the one the running observer was given to el() for
+// Returns fallback if nothing provides it or outside of such an observer
+// This depends on what is provided by each element on the way up. Reactors
+// and signals are returned as is so reading from them adds their own dependencies
+// Elements only have their ancestors once attached
+// Observers run once before then so give a fallback for that first run
+// el('button', ob(() => inject('theme', {}).color))
+export function inject (key, fallback) {
+  const [element] = observerContext()
+  if (typeof element?.nodeType !== 'number') return fallback
+  for (let node = element; node; node = providerParentOf(node)) {
+    // Reading the count makes observers depend on what is provided here later
+    const provisions = elCache.get(node)?.provisions
+    if (changesOf(node).count > 0 && provisions.has(key)) return provisions.get(key)
+  }
+  return fallback
+}
+
+// Wrapper for content rendered somewhere else
+// Class itself is not meant to be instantiated directly
+// Accessed through the "portal" function
+class Portal {
+  constructor (target, children) {
+    if (!isElement(target) && target?.nodeType !== DOCUMENT_FRAGMENT_NODE) {
+      throw new TypeError('Cannot portal into a non-Element target')
+    }
+    this.target = target
+    this.children = children
+  }
+}
+
+// shorthand for rendering children into another container
+// The children are appended to the end of the target but belong to the
+// element the portal is in. They are removed and their observers stopped when
+// the portal is cleared from that element or it leaves the document
+// el('dialog-button', ob(() => rx.open ? portal(document.body, el('modal', 'foo')) : ''))
+export const portal = (target, ...children) => new Portal(target, children)
+
+// Wrapper for promise children with content to show while waiting or on failure
+// Class itself is not meant to be instantiated directly
+// Accessed through the "awaiting" function
+class Awaiting {
+  constructor (promise, { pending, rejected } = {}) {
+    if (typeof promise?.then !== 'function') {
+      throw new TypeError('Cannot await a non-thenable')
+    }
+    if (typeof rejected !== 'undefined' && typeof rejected !== 'function') {
+      throw new TypeError('rejected renderer must be a function')
+    }
+    this.promise = promise
+    this.pending = pending
+    this.rejected = rejected
+  }
+}
+
+// shorthand for promises with pending and rejected content
+// The rejected renderer gets the error and its return value is appended
+// el('foo', awaiting(fetchBar(), {
+//   pending: 'loading...',
+//   rejected: (error) => el('error', error.message)
+// }))
+export const awaiting = (promise, options) => new Awaiting(promise, options)
+
+// Wrapper for keyed list rendering
+// Class itself is not meant to be instantiated directly
+// Accessed through the "each" function
+class Each {
+  constructor (list, key, render) {
+    if (typeof render === 'undefined') {
+      render = key
+      key = shuck
+    }
+    if (typeof key !== 'function') {
+      throw new TypeError('Cannot create each with a non-function key')
+    }
+    if (typeof render !== 'function') {
+      throw new TypeError('Cannot create each with a non-function render')
+    }
+    this.list = list
+    this.key = key
+    this.render = render
+  }
+}
+
+// shorthand for keyed lists which reuse the nodes of unchanged items
+// Takes a Reactor array (or a function returning an iterable)
+// Key defaults to the item itself if left out
+// el('ul', each(rx.todos, todo => todo.id, todo => el('li', ob(() => todo.text))))
+export const each = (list, key, render) => new Each(list, key, render)
+
+// Date input types which can be bound to Date objects
+const dateInputTypes = Object.freeze(['date', 'month', 'week', 'time', 'datetime-local'])
+
+// Work out how to read and write a form control
+// Each adapter has the event to listen for, a read to get the new model value
+// from the control, and a write to update the control from the model value
+// The current model value is passed to read for controls which depend on it
+function controlAdapter ($) {
+  const contentEditable = $.getAttribute('contenteditable')
+  if (contentEditable !== null && contentEditable !== 'false') {
+    return {
+      event: 'input',
+      read: () => $.textContent,
+      write: (value) => {
+        value = value ?? ''
+        if ($.textContent !== String(value)) $.textContent = value
+      }
+    }
+  }
+  if ($.localName === 'input' && $.type === 'checkbox') {
+    // Checkboxes bound to an Array add and remove their value from it
+    return {
+      event: 'change',
+      read: (current) => {
+        if (!Array.isArray(shuck(current))) return $.checked
+        const others = Array.from(current).filter(value => value !== $.value)
+        return $.checked ? [...others, $.value] : others
+      },
+      write: (value) => {
+        $.checked = Array.isArray(shuck(value))
+          ? Array.from(value).includes($.value)
+          : Boolean(value)
+      }
+    }
+  }
+  if ($.localName === 'input' && $.type === 'radio') {
+    // Radios only write to the model when they become checked
+    return {
+      event: 'change',
+      read: (current) => $.checked ? $.value : current,
+      write: (value) => { $.checked = String(value) === $.value }
+    }
+  }
+  if ($.localName === 'select' && $.multiple) {
+    return {
+      event: 'change',
+      read: () => Array.from($.selectedOptions, option => option.value),
+      write: (value) => {
+        const selected = Array.from(value ?? [])
+        for (const option of Array.from($.options)) {
+          option.selected = selected.includes(option.value)
+        }
+      }
+    }
+  }
+  if ($.localName === 'input' && ($.type === 'number' || $.type === 'range')) {
+    // An empty number input is null rather than NaN
+    return {
+      event: 'input',
+      read: () => $.value === '' ? null : $.valueAsNumber,
+      write: (value) => {
+        if (value === null || typeof value === 'undefined') $.value = ''
+        else if ($.valueAsNumber !== Number(value)) $.value = value
+      }
+    }
+  }
+  if ($.localName === 'input' && dateInputTypes.includes($.type)) {
+    // Date objects are kept as Dates. Like valueAsDate these are in UTC
+    // Otherwise the input's string value is used
+    return {
+      event: 'input',
+      read: (current) => {
+        if (!(shuck(current) instanceof Date)) return $.value
+        return $.value === '' ? null : new Date($.valueAsNumber)
+      },
+      write: (value) => {
+        value = shuck(value)
+        if (value instanceof Date) {
+          if ($.valueAsNumber !== value.getTime()) $.valueAsNumber = value.getTime()
+        } else if ($.value !== (value ?? '')) {
+          $.value = value ?? ''
+        }
+      }
+    }
+  }
+  // Selects and text-like inputs use value
+  // Selects should be given their options before bind so the value can be set
+  return {
+    event: $.localName === 'select' ? 'change' : 'input',
+    read: () => $.value,
+    write: (value) => {
+      value = value ?? ''
+      if ($.value !== String(value)) $.value = value
+    }
+  }
+}
+
+// Turn the different things bind accepts into a get and set pair
+// - A Reactor with a key, a dotted path, or an Array path
+// - A Signal style function which reads with no arguments and writes with one
+// - An object with get and set functions
+// - An observer whose value is shown but never written to
+function bindAccessor (target, path) {
+  if (typeof path !== 'undefined') {
+    const keys = Array.isArray(path) ? path : String(path).split('.')
+    const parentKeys = keys.slice(0, -1)
+    const lastKey = keys[keys.length - 1]
+    // Parts of the path might not exist yet e.g. while the data is loading
+    // Reading gives undefined and writing fills in the missing objects
+    return {
+      get: () => parentKeys.reduce((parent, key) => parent?.[key], target)?.[lastKey],
+      set: (value) => {
+        const parent = parentKeys.reduce((parent, key) => {
+          if (parent[key] === null || typeof parent[key] === 'undefined') parent[key] = {}
+          return parent[key]
+        }, target)
+        parent[lastKey] = value
+      }
+    }
+  }
+  if (isObserver(target)) return { get: target }
+  if (typeof target === 'function') {
+    return { get: () => target(), set: (value) => target(value) }
+  }
+  if (typeof target?.get === 'function') {
+    return { get: () => target.get(), set: target.set && ((value) => target.set(value)) }
+  }
+  throw new TypeError('bind expects a Reactor and key, a Signal, an observer, or a get/set pair')
+}
+
+// shorthand for binding
 // el('input', attribute('type', 'text'), bind(rx, 'foo'))
-export function bind (reactor, key) {
+// Picks the right property and event for the control it is attached to
+// - checkboxes bind checked, or toggle their value in an Array
+// - radios bind the value of whichever one is checked
+// - multiple selects bind an Array of the selected values
+// - number and range inputs bind numbers
+// - date inputs bind Dates if the model holds a Date
+// - contenteditable elements bind their text
+// Can bind to nested paths, Signals, get/set pairs, or observers
+// bind(rx, 'user.address.city')
+// bind(signal)
+// bind({ get: () => rx.name, set: (value) => { rx.name = value } })
+// Options
+// - event: 'change' to only update the model when the change is committed
+// - parse: transforms values from the control before they are written
+// - format: transforms values from the model before they are shown
+export function bind (target, ...args) {
+  const path = (typeof args[0] === 'object' && !Array.isArray(args[0]))
+    ? undefined
+    : args.shift()
+  const { event, parse = value => value, format = value => value } = args[0] ?? {}
+  const accessor = bindAccessor(target, path)
   return ($) => {
-    $.oninput = () => reactor[key] = $.value
-    return observe(() => $.value = reactor[key] )
+    const adapter = controlAdapter($)
+    // Skip updating the control from its own change
+    // Otherwise formatting would overwrite what is still being typed
+    // The control is written synchronously so this only has to hold during the set
+    let updatingModel = false
+    if (typeof accessor.set === 'function') {
+      el($, on(event ?? adapter.event, () => {
+        const current = unobserve(accessor.get)
+        const next = parse(adapter.read(format(current)))
+        if (next === current) return
+        updatingModel = true
+        try {
+          batch(() => accessor.set(next))
+        } finally {
+          updatingModel = false
+        }
+      }))
+    }
+    // Read the model synchronously too so the guard is still set when it runs
+    const model = isObserver(accessor.get) ? accessor.get : observe(accessor.get, syncUpdates)
+    bindValue($, model, (value) => {
+      if (!updatingModel) adapter.write(format(value))
+    }, syncUpdates)
   }
 }
 
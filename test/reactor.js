@@ -56,6 +56,77 @@ class Definition {
 // This seems nicer syntactic sugar than "new Definition(...)" each time
 const define = (definition) => new Definition(definition)
 
+// Equality checks decide whether a write actually changed a value
+// Equal writes are ignored and keep the old value so observers watching
+// the properties of an old object keep working when it is mutated later
+// - is: Object.is. The default. Unlike === it treats NaN as equal to NaN
+// - shallow: arrays and plain objects with the same keys and Object.is values
+// - deep: arrays, plain objects and Dates compared structurally all the way down
+// A custom (oldValue, newValue) => boolean function can be given instead
+// Objects read out of a Signal or Reactor are wrapped with the same check
+// unless they were already wrapped before
+// -----------------------------------------------------------------------------
+// Examples
+// let a = new Reactor({ position: { x: 1, y: 2 } }, { equals: 'deep' })
+// observe(() => console.log(a.position.x)).start()
+// a.position = { x: 1, y: 2 }    Nothing logged since it is equal
+// a.position = { x: 3, y: 2 }    Logs 3
+// let b = signal(NaN)
+// b(NaN)                         Does not trigger dependents
+const isPlainObject = (candidate) => {
+  if (candidate === null || typeof candidate !== 'object') return false
+  const prototype = Object.getPrototypeOf(candidate)
+  return prototype === Object.prototype || prototype === null
+}
+
+// Compare the contents of arrays and plain objects one level down
+function contentsEqual (oldValue, newValue, compare) {
+  if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+    return oldValue.length === newValue.length &&
+      oldValue.every((item, index) => compare(item, newValue[index]))
+  }
+  if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+    const keys = Object.keys(oldValue)
+    return keys.length === Object.keys(newValue).length &&
+      keys.every(key => (
+        Object.prototype.hasOwnProperty.call(newValue, key) &&
+        compare(oldValue[key], newValue[key])
+      ))
+  }
+  return false
+}
+
+const shallowEqual = (oldValue, newValue) => (
+  Object.is(oldValue, newValue) ||
+  contentsEqual(oldValue, newValue, Object.is)
+)
+
+// Assumes there are no cycles like most data from a server
+const deepEqual = (oldValue, newValue) => {
+  if (Object.is(oldValue, newValue)) return true
+  if (oldValue instanceof Date && newValue instanceof Date) {
+    return Object.is(oldValue.getTime(), newValue.getTime())
+  }
+  return contentsEqual(oldValue, newValue, deepEqual)
+}
+
+const equalityPresets = Object.freeze({
+  is: Object.is,
+  shallow: shallowEqual,
+  deep: deepEqual
+})
+
+// Turn an equals option into a comparison function
+function toEquals (equals) {
+  if (typeof equals === 'undefined') return Object.is
+  if (typeof equals === 'function') return equals
+  if (Object.prototype.hasOwnProperty.call(equalityPresets, equals)) {
+    return equalityPresets[equals]
+  }
+  const presetNames = Object.keys(equalityPresets).join(', ')
+  throw new TypeError(`Unknown equals "${equals}". Use ${presetNames} or a function`)
+}
+
 // Signals are observable functions representing values
 // - Read a signal by calling it with no arguments
 // - Write to a signal by calling it with the desired value as an argument
@@ -69,12 +140,14 @@ const define = (definition) => new Definition(definition)
 // a()                            Returns 1
 // a(2)                           Sets the value to 2
 // a(define(() => Date.now()))    Sets a dynamic getter instead of static value
+// let b = new Signal({ x: 1 }, { equals: 'shallow' })
+// b({ x: 1 })                    Does not trigger since it is shallowly equal
 const Signals = new WeakSet()
 class Signal {
   // Signals are made up of 2 main parts
   // - The core: The properties & methods which lets signals work
   // - The interface: The function returned to the user to use
-  constructor (initialValue) {
+  constructor (initialValue, { equals } = {}) {
     // The "guts" of a Signal containing properties and methods
     // All actual functionality & state should be built into the core
     // Should be completely agnostic to syntactic sugar
@@ -83,6 +156,7 @@ class Signal {
       // Signal state
       // value: undefined, // The set value. Purposed undefined as undefined
       dependents: new Set(), // The Observers which rely on this Signal
+      equals: toEquals(equals), // Whether a write changed the value
       removeSelf: () => {}, // callback set by parent Reactor to allow removal
       // Used to delete Signals with no dependents
       // To reduce memory leaks
@@ -116,18 +190,25 @@ class Signal {
         // No need to wrap it if its already a Reactor
         if (Reactors.has(output)) return output
         // If not then wrap and store it for future reads
-        return new Reactor(output)
+        return new Reactor(output, { equals: this.equals })
       },
 
       // Life of a write
       // - If the new value is a Definition then save it as a getter
       // - Otherwise just store the provided value
+      // - Keep the old value instead if they are equal
+      // - Mark computed values downstream outdated so nothing reads a stale cache
       // - Trigger any dependent Observers while collecting errors thrown
       // - Throw a CompoundError if necessary
       write (newValue) {
-        if (this.value === newValue) return (this.value = newValue)
+        // Comparing may read Reactor properties which shouldn't become dependencies
+        const isEqual = unobserve(() => this.equals(this.value, newValue))
+        if (isEqual) return this.value
         // Save the new value/definition
         const output = (this.value = newValue)
+        // Outdate every computed value first so an observer which reads
+        // this and a computed of this sees both change together
+        this.dependents.forEach(dependent => dependent.markOutdated?.())
         // Trigger dependents
         // Need to do an array copy to avoid an infinite loop
         // Triggering a dependent will remove it from the dependent set
@@ -139,7 +220,7 @@ class Signal {
         Array.from(this.dependents).forEach(dependent => {
           try {
             if (batcher) batcher.add(dependent)
-            else dependent.trigger()
+            else dependent.notify()
           } catch (error) { errorList.push(error) }
         })
         // If any errors occured during propagation
@@ -187,6 +268,7 @@ class Signal {
 // - The main difference is that they track and notify Observers automatically
 // - Any object returned from reading a property is itself wrapped in a Reactor
 // - Setting a property as a Defintion converts it into a getter instead
+// - Maps, Sets, WeakMaps and WeakSets track their entries. See collectionMethods
 // When a Reactor property is read by an Observer it saves it as a dependent
 // When a Reactor property is updated it automatically notifies dependents
 // -----------------------------------------------------------------------------
@@ -203,11 +285,14 @@ class Signal {
 //     cheese: "banana"
 //   }
 // })
+// let c = new Reactor({}, {      Only triggers on properties which change
+//   equals: 'deep'               structurally. Applies to nested objects too
+// })
 // WeakSet of all Reactors to check if something is a Reactor
 // Need to implement it this way because you can check instanceof Proxies
 const Reactors = new WeakSet()
 class Reactor {
-  constructor (initializedSource) {
+  constructor (initializedSource, { equals } = {}) {
     // Trying to reactor map a reactor does
     if (Reactors.has(initializedSource)) return initializedSource
 
@@ -226,6 +311,10 @@ class Reactor {
     const reactorCore = {
       source: initializedSource,
       selfSignal: new Signal(null),
+      // Used by property Signals so triggers skip equal values
+      equals: toEquals(equals),
+      // Replacement methods if the source is a collection. Set below
+      collection: null,
 
       // Function calls on reactor properties are automatically batched
       // This allows compound function calls like "Array.push"
@@ -262,6 +351,14 @@ class Reactor {
       // Accessor Signals need to be stored to allow persistent dependencies
       getSignals: {},
       get (property, receiver) {
+        // Collection methods and size are swapped for tracking versions
+        if (
+          this.collection &&
+          property in this.source &&
+          Object.prototype.hasOwnProperty.call(this.collection, property)
+        ) {
+          return this.collection[property]
+        }
         // Disable unnecessary wrapping for unmodifiable properties
         // Needed because Array prototype checking fails if wrapped
         // Specificaly [].map();
@@ -278,7 +375,7 @@ class Reactor {
           // e.g. constructor
           Object.prototype.hasOwnProperty.call(this.getSignals, property)
             ? this.getSignals[property]
-            : new Signal()
+            : new Signal(undefined, { equals: this.equals })
         // User accessor signals to give the actual output
         // This enables automatic dependency tracking
         const signalCore = signalCoreExtractor.get(this.getSignals[property])
@@ -315,9 +412,30 @@ class Reactor {
       // We trap defineProperty instead of set because it avoids the ambiguity
       // of access through the prototype chain
       defineProperty (property, descriptor) {
+        // Assigning a value equal to the current one keeps the current one
+        // Same as the Signal write so dependencies on the old object stay valid
+        // Dependents are still checked since the source may have changed already
+        // e.g. an Array's length grows when an item is added past the end
+        const currentDescriptor = Reflect.getOwnPropertyDescriptor(this.source, property)
+        if (
+          currentDescriptor?.writable &&
+          Object.keys(descriptor).length === 1 &&
+          'value' in descriptor &&
+          unobserve(() => this.equals(currentDescriptor.value, descriptor.value))
+        ) {
+          this.trigger(property)
+          return true
+        }
         // Automatically transform a Definition set into a getter
         // Identical to calling Object.defineProperty with a getter directly
         // This is just syntactic sugar and does not provide new functionality
+        // Computed values work the same way but keep their cached value
+        // They are given the Reactor as `this` like a Definition's getter is
+        const computedCore = computedCoreExtractor.get(descriptor.value)
+        if (computedCore) {
+          computedCore.context ??= reactorInterface
+          descriptor = { ...descriptor, value: define(descriptor.value) }
+        }
         if (descriptor.value instanceof Definition) {
           const newDescriptor = {
             get: descriptor.value.definition,
@@ -460,6 +578,9 @@ class Reactor {
         throw new Error('Proxy target does not match initialized object')
       }
     })
+    if (isCollection(initializedSource)) {
+      reactorCore.collection = collectionMethods(reactorCore, reactorInterface)
+    }
     // Register the reactor for debugging/typechecking purposes
     reactorCoreExtractor.set(reactorInterface, reactorCore)
     Reactors.add(reactorInterface)
@@ -468,6 +589,130 @@ class Reactor {
   }
 }
 
+// Collections keep their entries in internal slots instead of properties
+// so a Reactor can't see them through its proxy traps
+// Instead a Reactor wrapping one swaps its methods for tracking versions
+// - get and has only depend on the key they are given
+// - size and iteration depend on the collection as a whole
+// - set, add, delete and clear trigger whatever they changed
+// Objects read out are wrapped in Reactors like properties are
+// Keys passed in are shucked so Reactor wrapped keys still match
+// -----------------------------------------------------------------------------
+// Examples
+// let a = new Reactor({ cache: new Map() })
+// observe(() => console.log(a.cache.get('foo'))).start()
+// a.cache.set('bar', 1)          Nothing logged since foo didn't change
+// a.cache.set('foo', 2)          Logs 2
+// observe(() => console.log(a.cache.size)).start()
+// a.cache.delete('bar')          Logs 1
+const collectionTypes = [Map, Set, WeakMap, WeakSet]
+const isCollection = (candidate) => (
+  collectionTypes.some(type => candidate instanceof type)
+)
+function collectionMethods (reactorCore, reactorInterface) {
+  const source = reactorCore.source
+  // Signals for single keys
+  // Only made when an observer reads the key and removed once unobserved
+  // so weakly held keys aren't kept alive by reads outside observers
+  const getSignals = new Map()
+  const hasSignals = new Map()
+  // Read by size and iteration. Rewritten on every change
+  const contentsSignal = new Signal(null)
+
+  const wrap = (value) => {
+    if (value === null) return value
+    if (typeof value !== 'function' && typeof value !== 'object') return value
+    return new Reactor(value, { equals: reactorCore.equals })
+  }
+
+  // Read the current value through the key's own Signal
+  const readKey = (signals, key, currentValue) => {
+    if (!dependencyStack[dependencyStack.length - 1]) return wrap(currentValue)
+    if (!signals.has(key)) {
+      signals.set(key, new Signal(undefined, { equals: reactorCore.equals }))
+    }
+    const signalCore = signalCoreExtractor.get(signals.get(key))
+    signalCore.removeSelf = () => signals.delete(key)
+    signalCore.value = currentValue
+    return signalCore.read()
+  }
+
+  const readContents = () => signalCoreExtractor.get(contentsSignal).read()
+
+  // Update the Signals of changed keys and the contents together
+  const trigger = (keys) => batch(() => {
+    keys.forEach(key => {
+      if (getSignals.has(key)) getSignals.get(key)(source.get(key))
+      if (hasSignals.has(key)) hasSignals.get(key)(source.has(key))
+    })
+    contentsSignal(Symbol('changed'))
+  })
+
+  const iterate = (iterator, wrapItem) => {
+    readContents()
+    return (function * () {
+      for (const item of iterator) yield wrapItem(item)
+    })()
+  }
+  const wrapEntry = ([key, value]) => [wrap(key), wrap(value)]
+
+  // Only the methods the source actually has are used
+  return {
+    get (key) {
+      key = shuck(key)
+      return readKey(getSignals, key, source.get(key))
+    },
+    has (key) {
+      key = shuck(key)
+      return readKey(hasSignals, key, source.has(key))
+    },
+    set (key, value) {
+      key = shuck(key)
+      // Equal values keep the old one like Reactor properties do
+      if (source.has(key) && unobserve(() => reactorCore.equals(source.get(key), value))) {
+        return reactorInterface
+      }
+      source.set(key, value)
+      trigger([key])
+      return reactorInterface
+    },
+    add (value) {
+      value = shuck(value)
+      const hadValue = source.has(value)
+      source.add(value)
+      if (!hadValue) trigger([value])
+      return reactorInterface
+    },
+    delete (key) {
+      key = shuck(key)
+      const didDelete = source.delete(key)
+      if (didDelete) trigger([key])
+      return didDelete
+    },
+    clear () {
+      const hadEntries = source.size > 0
+      source.clear()
+      if (hadEntries) trigger(new Set([...getSignals.keys(), ...hasSignals.keys()]))
+    },
+    get size () {
+      readContents()
+      return source.size
+    },
+    keys: () => iterate(source.keys(), wrap),
+    values: () => iterate(source.values(), wrap),
+    entries: () => iterate(source.entries(), wrapEntry),
+    [Symbol.iterator]: () => (source instanceof Map)
+      ? iterate(source.entries(), wrapEntry)
+      : iterate(source.values(), wrap),
+    forEach (callback, thisArg) {
+      readContents()
+      source.forEach((value, key) => {
+        callback.call(thisArg, wrap(value), wrap(key), reactorInterface)
+      })
+    }
+  }
+}
+
 // Observers are functions which automatically track their dependencies
 // Once triggered they automatically retrigger whenever a dependency is updated
 // A dependency is any read of Signal or property of a Reactor
@@ -496,11 +741,13 @@ class Reactor {
 // observer.start();                          Does nothing since already started
 const observerMembership = new WeakSet() // To check if something is an Observer
 class Observer {
-  constructor (execute) {
+  constructor (execute, { scheduler, fallbackScheduler = 'sync' } = {}) {
     // Parameter validation
     if (typeof execute !== 'function') {
       throw new TypeError('Cannot create observer with a non-function')
     }
+    if (typeof scheduler !== 'undefined') checkScheduler(scheduler)
+    checkScheduler(fallbackScheduler)
 
     // Internal engine of an Observer for how it works
     // All actual functionality & state should be built into the core
@@ -521,6 +768,11 @@ class Observer {
       // Flag on whether this is a unobserve block
       // Avoids creating dependencies in that case
 
+      // When automatic triggers run. Undefined if none was chosen
+      // in which case the default when the observer was made is used
+      scheduler,
+      defaultScheduler: defaultScheduler ?? fallbackScheduler,
+
       // Symmetrically removes dependencies
       clearDependencies () {
         // Go upstream to break the connection
@@ -566,6 +818,15 @@ class Observer {
         return false
       },
 
+      // Called by dependencies when they change
+      // Triggers straight away or queues the trigger on the scheduler
+      notify () {
+        const scheduler = this.scheduler ?? this.defaultScheduler
+        if (scheduler === 'sync') return this.trigger()
+        schedule(this, scheduler)
+        return false
+      },
+
       // Redefines the observer with a new exec function
       // Maintains the context, Signal dependents, and awake status
       redefine (newExecute) {
@@ -629,6 +890,15 @@ class Observer {
       get () { return observerCore.execute },
       set (newValue) { return observerCore.redefine(newValue) }// TODO check return value
     })
+    // The scheduler chosen for this observer. Undefined if using the default
+    // Setting it changes when later automatic triggers run
+    Object.defineProperty(observerInterface, 'scheduler', {
+      get () { return observerCore.scheduler },
+      set (newValue) {
+        if (typeof newValue !== 'undefined') checkScheduler(newValue)
+        observerCore.scheduler = newValue
+      }
+    })
     // Allow reads of the last return value of execute
     // As a Signal this itself is observable and
     // builds dependencies if done within another observer
@@ -643,12 +913,137 @@ class Observer {
     return observerInterface
   }
 }
-const observe = (execute) => {
-  return new Observer(execute)
+const observe = (execute, options) => {
+  return new Observer(execute, options)
 }
 
 const isObserver = (candidate) => observerMembership.has(shuck(candidate))
 
+// Computed values are cached definitions
+// - Read a computed value by calling it with no arguments
+// - It tracks the Signals and Reactor properties it reads like an Observer
+// - The cached value is reused until one of those dependencies changes
+// - Recalculation is lazy unless something is observing the value
+// Setting a Reactor property to a computed value turns it into a getter
+// with the Reactor as `this` just like setting it to a Definition
+// -----------------------------------------------------------------------------
+// Examples
+// let a = new Reactor({ items: [1, 2, 3] })
+// let total = computed(() => a.items.reduce((sum, item) => sum + item, 0))
+// total()                        Calculates and returns 6
+// total()                        Returns the cached 6
+// a.items.push(4)                Marks total as outdated
+// total()                        Calculates and returns 10
+// a.total = computed(function () {
+//   return this.items.length
+// })
+// let even = computed(() => a.items.filter(item => item % 2 === 0), {
+//   equals: 'shallow'              Only notifies when the even items change
+// })
+const computedCoreExtractor = new WeakMap()
+class Computed {
+  constructor (definition, { equals } = {}) {
+    if (typeof definition !== 'function') {
+      throw new TypeError('Cannot create computed with a non-function')
+    }
+
+    // Internal engine of a computed value
+    // Acts as an Observer to its dependencies and a Signal to its dependents
+    const computedCore = {
+      definition,
+      // `this` for the definition. Set when assigned to a Reactor property
+      context: undefined,
+      // Whether the cached value needs recalculating before the next read
+      outdated: true,
+      // Same as an Observer. Cleared and rebuilt at every calculation
+      dependencies: new WeakRefSet(),
+      // Cached value stored in a Signal so reads build dependencies
+      // An equal recalculation doesn't notify dependents
+      value: new Signal(undefined, { equals }),
+
+      clearDependencies () {
+        this.dependencies.forEach(dependency => {
+          dependency.removeDependent(this)
+        })
+        this.dependencies = new WeakRefSet()
+      },
+
+      addDependency (dependency) {
+        this.dependencies.add(dependency)
+      },
+
+      // Called by dependencies before they notify anything
+      // Passes down through computed values which depend on this one
+      markOutdated () {
+        if (this.outdated) return
+        this.outdated = true
+        signalCoreExtractor.get(this.value).dependents.forEach(dependent => dependent.markOutdated?.())
+      },
+
+      // Called by dependencies when they change
+      // A read since they were marked outdated has already recalculated
+      // Otherwise only recalculate straight away if something depends on the value
+      // and wait until the next read if not
+      notify () {
+        if (!this.outdated) return
+        this.clearDependencies()
+        if (signalCoreExtractor.get(this.value).dependents.size > 0) this.calculate()
+      },
+
+      // Run the definition while tracking what it reads
+      // Writing the value notifies dependents if it changed
+      calculate () {
+        this.clearDependencies()
+        dependencyStack.push(this)
+        let result
+        try {
+          result = this.definition.call(this.context)
+        } finally {
+          dependencyStack.pop()
+        }
+        this.outdated = false
+        this.value(result)
+      },
+
+      read () {
+        if (this.outdated) this.calculate()
+        return this.value()
+      }
+    }
+
+    const computedInterface = function () {
+      if (arguments.length > 0) {
+        throw new TypeError('Cannot write to a computed value')
+      }
+      return computedCore.read()
+    }
+    computedCoreExtractor.set(computedInterface, computedCore)
+    // Registered as a Signal since it can be read like one
+    Signals.add(computedInterface)
+    return computedInterface
+  }
+}
+const computed = (definition, options) => new Computed(definition, options)
+
+// The context arguments of the observer running right now
+// Lets functions an observer calls find what it runs for without passing it in
+// Empty outside of an observer, including in computed values and unobserve
+// let a = observe(() => observerContext()[0])
+// a('foo')                        Returns 'foo'
+const observerContext = () => {
+  const reader = dependencyStack[dependencyStack.length - 1]
+  if (reader && 'execute' in reader) return reader.context ?? []
+  return []
+}
+
+// Expose signal and type checking functions instead of the classes themselves
+// let a = signal(1)
+// isSignal(a)                    Returns true
+// isReactor(new Reactor())       Returns true
+const signal = (initialValue, options) => new Signal(initialValue, options)
+const isSignal = (candidate) => Signals.has(candidate)
+const isReactor = (candidate) => Reactors.has(candidate)
+
 // Unobserve is syntactic sugar to create a dummy observer to block the triggers
 // While also returning the contents of the block
 const unobserve = (execute) => {
@@ -662,6 +1057,83 @@ const unobserve = (execute) => {
   return result
 }
 
+// Schedulers decide when observers run after their dependencies change
+// - sync: straight away. This is the default
+// - microtask: once the current task is done
+// - frame: before the next animation frame is painted
+// Observers queued on a scheduler only run once however often they are notified
+// Set the default with setScheduler or per observer with the scheduler option
+// An observer's scheduler can also be changed later through observer.scheduler
+// The fallbackScheduler option replaces sync as the default for an observer
+// until setScheduler is called. Used by el() so the DOM updates once a frame
+// -----------------------------------------------------------------------------
+// Examples
+// let a = new Reactor({ count: 0 })
+// observe(() => console.log(a.count), { scheduler: 'microtask' }).start()
+// a.count++                      Nothing logged yet
+// a.count++                      Still nothing
+// flush()                        Logs 2 once
+const schedulers = Object.freeze(['sync', 'microtask', 'frame'])
+// Undefined until setScheduler is called
+let defaultScheduler
+const scheduledObservers = { microtask: new Set(), frame: new Set() }
+
+function checkScheduler (scheduler) {
+  if (!schedulers.includes(scheduler)) {
+    throw new TypeError(`Unknown scheduler "${scheduler}". Use ${schedulers.join(', ')}`)
+  }
+}
+
+// Without animation frames e.g. outside the browser fall back to a timeout
+const requestFrame = (callback) => (typeof globalThis.requestAnimationFrame === 'function')
+  ? globalThis.requestAnimationFrame(callback)
+  : setTimeout(callback, 16)
+
+// Queue an observer to trigger later
+// A run is requested when the first observer is added to an empty queue
+function schedule (observerCore, scheduler) {
+  const queue = scheduledObservers[scheduler]
+  if (queue.size === 0) {
+    if (scheduler === 'microtask') queueMicrotask(() => runScheduled(scheduler))
+    else requestFrame(() => runScheduled(scheduler))
+  }
+  queue.add(observerCore)
+}
+
+// Trigger everything queued on a scheduler
+// Errors are collected and thrown together like in batch
+function runScheduled (scheduler) {
+  const queue = scheduledObservers[scheduler]
+  const queuedObservers = Array.from(queue)
+  queue.clear()
+  const errorList = []
+  queuedObservers.forEach(observer => {
+    try { observer.trigger() } catch (error) { errorList.push(error) }
+  })
+  if (errorList.length === 1) {
+    throw errorList[0]
+  } else if (errorList.length > 1) {
+    const errorMessage = 'Multiple errors from scheduled observers'
+    throw new CompoundError(errorMessage, errorList)
+  }
+}
+
+// Set the scheduler for observers made afterwards without one of their own
+// Called without one to go back to each observer's fallbackScheduler
+const setScheduler = (scheduler) => {
+  if (typeof scheduler !== 'undefined') checkScheduler(scheduler)
+  defaultScheduler = scheduler
+}
+
+// Run all queued observers now instead of waiting
+// Keeps going until observers stop queueing more
+const flush = () => {
+  while (scheduledObservers.microtask.size > 0 || scheduledObservers.frame.size > 0) {
+    runScheduled('microtask')
+    runScheduled('frame')
+  }
+}
+
 // Method for allowing users to batch multiple observer updates together
 const batch = (execute) => {
   let result
@@ -690,7 +1162,7 @@ const batch = (execute) => {
     // A conslidated error will be thrown at the end of propagation
     const errorList = []
     batchedObservers.forEach(observer => {
-      try { observer.trigger() } catch (error) { errorList.push(error) }
+      try { observer.notify() } catch (error) { errorList.push(error) }
     })
 
     // If any errors occured during propagation
@@ -740,10 +1212,18 @@ class CompoundError extends Error {
 
 export {
   Reactor,
+  isReactor,
+  signal,
+  isSignal,
   isObserver,
   observe,
   unobserve,
+  observerContext,
   batch,
+  setScheduler,
+  flush,
   shuck,
-  define
+  define,
+  computed,
+  CompoundError
 }
@@ -0,0 +1,469 @@
+// Server side rendering for elementary
+// Provides a lightweight document which implements just enough of the DOM
+// for el() to build trees outside the browser, and serializes them to HTML
+// Observers run once while rendering and keep their bookend comments
+// so the client can attach to them later
+// -----------------------------------------------------------------------------
+// Examples
+// import { renderToString } from './ssr.js'
+// const html = renderToString(() => el('article',
+//   el('h1', ob(() => rx.title)),
+//   el('p', 'Lorem ipsum')
+// ))
+import { withDocument } from './elementary.js'
+
+const ELEMENT_NODE = 1
+const TEXT_NODE = 3
+const COMMENT_NODE = 8
+const DOCUMENT_NODE = 9
+const DOCUMENT_FRAGMENT_NODE = 11
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml'
+
+// Elements which never have children or a closing tag
+const voidTags = Object.freeze([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+])
+// Elements whose text content is written out without escaping
+const rawTextTags = Object.freeze(['script', 'style'])
+
+const escapeText = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/\u00a0/g, '&nbsp;')
+const escapeAttribute = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/\u00a0/g, '&nbsp;')
+
+// Base for every node in a server document
+// Children are kept in a plain Array with sibling links worked out from it
+class ServerNode {
+  constructor (ownerDocument, nodeType) {
+    this.ownerDocument = ownerDocument
+    this.nodeType = nodeType
+    this.parentNode = null
+    this.childNodes = []
+  }
+
+  get parentElement () {
+    return this.parentNode?.nodeType === ELEMENT_NODE ? this.parentNode : null
+  }
+
+  get firstChild () { return this.childNodes[0] ?? null }
+  get lastChild () { return this.childNodes[this.childNodes.length - 1] ?? null }
+
+  get nextSibling () {
+    if (this.parentNode === null) return null
+    const siblings = this.parentNode.childNodes
+    return siblings[siblings.indexOf(this) + 1] ?? null
+  }
+
+  get previousSibling () {
+    if (this.parentNode === null) return null
+    const siblings = this.parentNode.childNodes
+    return siblings[siblings.indexOf(this) - 1] ?? null
+  }
+
+  get isConnected () {
+    return this.ownerDocument.contains(this)
+  }
+
+  get textContent () {
+    return this.childNodes.map(childNode => childNode.textContent).join('')
+  }
+
+  set textContent (text) {
+    for (const childNode of [...this.childNodes]) this.removeChild(childNode)
+    if (text !== '' && text !== null) {
+      this.appendChild(this.ownerDocument.createTextNode(text))
+    }
+  }
+
+  // Fragments are emptied into the parent like in the DOM
+  insertBefore (node, referenceNode) {
+    if (referenceNode && referenceNode.parentNode !== this) {
+      throw new RangeError('referenceNode is not a child of this node')
+    }
+    const nodes = node.nodeType === DOCUMENT_FRAGMENT_NODE
+      ? [...node.childNodes]
+      : [node]
+    for (const insertedNode of nodes) {
+      insertedNode.parentNode?.removeChild(insertedNode)
+      const index = referenceNode
+        ? this.childNodes.indexOf(referenceNode)
+        : this.childNodes.length
+      this.childNodes.splice(index, 0, insertedNode)
+      insertedNode.parentNode = this
+    }
+    return node
+  }
+
+  appendChild (node) {
+    return this.insertBefore(node, null)
+  }
+
+  removeChild (node) {
+    const index = this.childNodes.indexOf(node)
+    if (index === -1) throw new RangeError('node is not a child of this node')
+    this.childNodes.splice(index, 1)
+    node.parentNode = null
+    return node
+  }
+
+  replaceChild (newNode, oldNode) {
+    if (newNode === oldNode) return oldNode
+    this.insertBefore(newNode, oldNode)
+    return this.removeChild(oldNode)
+  }
+
+  remove () {
+    this.parentNode?.removeChild(this)
+  }
+
+  contains (node) {
+    while (node) {
+      if (node === this) return true
+      node = node.parentNode
+    }
+    return false
+  }
+
+  getElementsByTagName (tagName) {
+    const result = []
+    for (const childNode of this.childNodes) {
+      if (childNode.nodeType !== ELEMENT_NODE) continue
+      if (tagName === '*' || childNode.localName === tagName) result.push(childNode)
+      result.push(...childNode.getElementsByTagName(tagName))
+    }
+    return result
+  }
+
+  // Listeners are accepted but never fire since nothing is interactive
+  addEventListener () {}
+  removeEventListener () {}
+}
+
+class ServerText extends ServerNode {
+  constructor (ownerDocument, data) {
+    super(ownerDocument, TEXT_NODE)
+    this.data = String(data)
+  }
+
+  get nodeValue () { return this.data }
+  get textContent () { return this.data }
+  set textContent (text) { this.data = String(text) }
+}
+
+class ServerComment extends ServerNode {
+  constructor (ownerDocument, data) {
+    super(ownerDocument, COMMENT_NODE)
+    this.data = String(data)
+  }
+
+  get nodeValue () { return this.data }
+  get textContent () { return '' }
+}
+
+class ServerDocumentFragment extends ServerNode {
+  constructor (ownerDocument) {
+    super(ownerDocument, DOCUMENT_FRAGMENT_NODE)
+  }
+}
+
+// Class list backed by the class attribute
+class ServerClassList {
+  constructor (element) {
+    this.element = element
+  }
+
+  get classes () {
+    return (this.element.getAttribute('class') ?? '').split(/\s+/).filter(Boolean)
+  }
+
+  contains (className) {
+    return this.classes.includes(className)
+  }
+
+  add (...classNames) {
+    const classes = this.classes
+    for (const className of classNames) {
+      if (!classes.includes(className)) classes.push(className)
+    }
+    this.element.setAttribute('class', classes.join(' '))
+  }
+
+  remove (...classNames) {
+    if (classNames.length === 0 || !this.element.hasAttribute('class')) return
+    const classes = this.classes.filter(className => !classNames.includes(className))
+    this.element.setAttribute('class', classes.join(' '))
+  }
+
+  toggle (className, force) {
+    const enable = typeof force === 'undefined' ? !this.contains(className) : force
+    if (enable) this.add(className)
+    else this.remove(className)
+    return enable
+  }
+}
+
+// Inline styles backed by the style attribute
+// Supports camelCase assignment as well as the property methods
+const toKebabCase = (property) => property.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase())
+function createStyle (element) {
+  const read = () => new Map(
+    (element.getAttribute('style') ?? '').split(';')
+      .map(declaration => declaration.split(':'))
+      .filter(([property, ...value]) => property.trim() && value.length > 0)
+      .map(([property, ...value]) => [property.trim(), value.join(':').trim()])
+  )
+  const write = (declarations) => {
+    const text = Array.from(declarations, ([property, value]) => `${property}: ${value};`).join(' ')
+    if (text) element.setAttribute('style', text)
+    else element.removeAttribute('style')
+  }
+  const methods = {
+    getPropertyValue: (property) => read().get(property) ?? '',
+    setProperty (property, value) {
+      const declarations = read()
+      if (value === null || value === '') declarations.delete(property)
+      else declarations.set(property, String(value))
+      write(declarations)
+    },
+    removeProperty (property) {
+      const declarations = read()
+      const oldValue = declarations.get(property) ?? ''
+      declarations.delete(property)
+      write(declarations)
+      return oldValue
+    }
+  }
+  return new Proxy(methods, {
+    get (target, property) {
+      if (Object.prototype.hasOwnProperty.call(target, property)) return target[property]
+      if (typeof property !== 'string') return undefined
+      return target.getPropertyValue(toKebabCase(property))
+    },
+    set (target, property, value) {
+      target.setProperty(toKebabCase(property), value ?? '')
+      return true
+    }
+  })
+}
+
+// Dataset backed by data- attributes
+function createDataset (element) {
+  const toAttribute = (key) => 'data-' + toKebabCase(key)
+  return new Proxy({}, {
+    get: (target, key) => typeof key === 'string'
+      ? element.getAttribute(toAttribute(key)) ?? undefined
+      : undefined,
+    set (target, key, value) {
+      element.setAttribute(toAttribute(key), value)
+      return true
+    },
+    deleteProperty (target, key) {
+      element.removeAttribute(toAttribute(key))
+      return true
+    }
+  })
+}
+
+class ServerElement extends ServerNode {
+  constructor (ownerDocument, namespaceURI, qualifiedName) {
+    super(ownerDocument, ELEMENT_NODE)
+    this.namespaceURI = namespaceURI
+    this.localName = namespaceURI === HTML_NAMESPACE
+      ? qualifiedName.toLowerCase()
+      : qualifiedName
+    // Attributes in the order they were first set
+    this.attributes = []
+    this.classList = new ServerClassList(this)
+    this.style = createStyle(this)
+    this.dataset = createDataset(this)
+  }
+
+  get tagName () {
+    return this.namespaceURI === HTML_NAMESPACE
+      ? this.localName.toUpperCase()
+      : this.localName
+  }
+
+  getAttribute (name) {
+    return this.attributes.find(attribute => attribute.name === name)?.value ?? null
+  }
+
+  getAttributeNS (namespaceURI, localName) {
+    return this.attributes.find(attribute => (
+      attribute.namespaceURI === namespaceURI && attribute.localName === localName
+    ))?.value ?? null
+  }
+
+  hasAttribute (name) {
+    return this.attributes.some(attribute => attribute.name === name)
+  }
+
+  setAttribute (name, value) {
+    this.setAttributeNS(null, name, value)
+  }
+
+  setAttributeNS (namespaceURI, name, value) {
+    const existing = this.attributes.find(attribute => attribute.name === name)
+    if (existing) {
+      existing.value = String(value)
+    } else {
+      this.attributes.push({
+        namespaceURI,
+        name,
+        localName: name.split(':').pop(),
+        value: String(value)
+      })
+    }
+  }
+
+  removeAttribute (name) {
+    this.attributes = this.attributes.filter(attribute => attribute.name !== name)
+  }
+
+  get children () {
+    return this.childNodes.filter(childNode => childNode.nodeType === ELEMENT_NODE)
+  }
+
+  get options () {
+    return this.getElementsByTagName('option')
+  }
+
+  get selectedOptions () {
+    return this.options.filter(option => option.selected)
+  }
+
+  get innerHTML () {
+    return this.childNodes.map(serialize).join('')
+  }
+
+  get outerHTML () {
+    return serialize(this)
+  }
+}
+
+// Properties which reflect attributes so props objects and bind() work
+const reflectedProperties = Object.freeze({
+  id: 'id',
+  className: 'class',
+  htmlFor: 'for',
+  title: 'title',
+  name: 'name',
+  type: 'type',
+  value: 'value',
+  href: 'href',
+  src: 'src',
+  alt: 'alt',
+  placeholder: 'placeholder'
+})
+for (const [property, attribute] of Object.entries(reflectedProperties)) {
+  Object.defineProperty(ServerElement.prototype, property, {
+    get () { return this.getAttribute(attribute) ?? '' },
+    set (value) { this.setAttribute(attribute, value) }
+  })
+}
+const reflectedBooleans = Object.freeze([
+  'checked', 'disabled', 'hidden', 'multiple', 'readOnly', 'required', 'selected'
+])
+for (const property of reflectedBooleans) {
+  const attribute = property.toLowerCase()
+  Object.defineProperty(ServerElement.prototype, property, {
+    get () { return this.hasAttribute(attribute) },
+    set (value) {
+      if (value) this.setAttribute(attribute, '')
+      else this.removeAttribute(attribute)
+    }
+  })
+}
+
+// Lightweight stand in for a browser document
+// Elements created by it are never attached so observers only run once
+export class ServerDocument extends ServerNode {
+  constructor () {
+    super(null, DOCUMENT_NODE)
+    this.ownerDocument = this
+  }
+
+  createElement (tagName) {
+    return new ServerElement(this, HTML_NAMESPACE, tagName)
+  }
+
+  createElementNS (namespaceURI, qualifiedName) {
+    return new ServerElement(this, namespaceURI, qualifiedName)
+  }
+
+  createTextNode (data) {
+    return new ServerText(this, data)
+  }
+
+  createComment (data) {
+    return new ServerComment(this, data)
+  }
+
+  createDocumentFragment () {
+    return new ServerDocumentFragment(this)
+  }
+
+  // Nothing is ever attached so queries never find anything
+  querySelector () {
+    return null
+  }
+
+  querySelectorAll () {
+    return []
+  }
+}
+
+// Turn a server node into HTML
+// Matches the browser's outerHTML including observer bookend comments
+function serialize (node) {
+  switch (node.nodeType) {
+    case TEXT_NODE:
+      return rawTextTags.includes(node.parentNode?.localName)
+        ? node.data
+        : escapeText(node.data)
+    case COMMENT_NODE:
+      return `<!--${node.data}-->`
+    case DOCUMENT_FRAGMENT_NODE:
+      return node.childNodes.map(serialize).join('')
+    case ELEMENT_NODE: {
+      const attributes = node.attributes
+        .map(attribute => ` ${attribute.name}="${escapeAttribute(attribute.value)}"`)
+        .join('')
+      const openingTag = `<${node.localName}${attributes}>`
+      if (node.namespaceURI === HTML_NAMESPACE && voidTags.includes(node.localName)) {
+        return openingTag
+      }
+      return openingTag + node.innerHTML + `</${node.localName}>`
+    }
+    default:
+      throw new TypeError(`Cannot serialize node of type ${node.nodeType}`)
+  }
+}
+
+// Render a view to an HTML string without a browser
+// The view is a function returning elements, strings, or Arrays of them
+// Elements are created in a fresh ServerDocument
+// Observers run once and their bookend comments are kept
+// Pending promises are left as their placeholder or pending content
+export function renderToString (view) {
+  const serverDocument = new ServerDocument()
+  const rendered = withDocument(serverDocument, () => (
+    typeof view === 'function' ? view() : view
+  ))
+  const toHTML = (content) => {
+    if (content === null || typeof content === 'undefined') return ''
+    if (typeof content === 'string') return escapeText(content)
+    if (content instanceof ServerNode) return serialize(content)
+    if (typeof content[Symbol.iterator] === 'function') {
+      return Array.from(content, toHTML).join('')
+    }
+    throw new TypeError('renderToString expects a view returning elements, strings, or an Array of them')
+  }
+  return toHTML(rendered)
+}
@@ -1,8 +1,9 @@
 /* esline-env browser */
 /* globals  el */
 
-import { el, attr, bind } from "./elementary.js"
-import { observe as ob, Reactor } from "./reactor.js"
+import { el, attr, cls, style, bind, query, queryAll, awaiting, each, defineElement, on, onMount, onUnmount, elFor, portal, component, provide, inject, hydrate, HydrationError } from "./elementary.js"
+import { observe as ob, Reactor, computed, signal, isSignal, isReactor, setScheduler, flush } from "./reactor.js"
+import { renderToString, ServerDocument } from './ssr.js'
 
 // it('testing Proxy on DOM objects', () => {
 //   const proxyHandler = {
@@ -43,6 +44,32 @@ describe("Element creation", () => {
     assert(result.outerHTML === '<h1 class="h1"></h1>')
   })
 
+  it('can create modern HTML tags', () => {
+    assert.equal(el('dialog').outerHTML, '<dialog class="dialog"></dialog>')
+    assert.equal(el('template').outerHTML, '<template class="template"></template>')
+    assert.equal(el('center').outerHTML, '<div class="center"></div>')
+  })
+
+  it('can create a custom element', () => {
+    const result = el('my-widget', 'foo')
+    assert.equal(result.outerHTML, '<my-widget class="my-widget">foo</my-widget>')
+    assert.equal(el('my-widget.bar').outerHTML, '<my-widget class="bar"></my-widget>')
+  })
+
+  it('can create an element with an Emmet-like descriptor', () => {
+    const result = el('input#email.field.large[type=email][required]')
+    assert.equal(result.outerHTML, '<input id="email" class="field large" type="email" required="">')
+  })
+
+  it('can use quoted attribute values in a descriptor', () => {
+    const result = el('button.primary[title="foo bar"][data-baz=\'qux\'] corge')
+    assert.equal(result.outerHTML, '<button class="primary corge" title="foo bar" data-baz="qux"></button>')
+  })
+
+  it('rejects unknown tags in an Emmet-like descriptor', () => {
+    assert.throws(() => el('foo.bar'), TypeError)
+  })
+
   it('can wrap an existing element', () => {
     const base = document.createElement("div")
     const result = el(base)
@@ -59,6 +86,47 @@ describe("Element creation", () => {
     assert(result === base)
   })
 
+  it('can grab an existing element by explicit query', () => {
+    const base = document.createElement('section')
+    base.innerHTML = '<p>foo</p>'
+    document.body.appendChild(base)
+    const result = el(query('section > p'), 'bar')
+    assert(result === base.firstChild)
+    assert.equal(base.innerHTML, '<p>foobar</p>')
+    base.remove()
+  })
+
+  it('can fill every element matching a query', () => {
+    const base = document.createElement('ul')
+    base.innerHTML = '<li>foo</li><li>bar</li>'
+    document.body.appendChild(base)
+    const result = el(queryAll('ul > li'), 'baz')
+    assert.equal(result.length, 2)
+    assert.equal(base.innerHTML, '<li>foobaz</li><li>barbaz</li>')
+    base.remove()
+  })
+
+  it('runs an observer in every element matching a query', (done) => {
+    const base = document.createElement('div')
+    base.innerHTML = '<p id="a"></p><p id="b"></p>'
+    document.body.appendChild(base)
+    const rx = new Reactor({ suffix: '1' })
+    el(queryAll('#a, #b'), ob(($) => $.id + rx.suffix))
+    assert.equal(base.textContent, 'a1b1')
+    assert.throws(() => el(queryAll('#a, #b'), portal(base, 'foo')), TypeError)
+    setTimeout(() => {
+      rx.suffix = '2'
+      flush()
+      assert.equal(base.textContent, 'a2b2')
+      base.remove()
+      done()
+    }, 10)
+  })
+
+  it('throws when a query matches nothing', () => {
+    assert.throws(() => el('#nothing-here'), RangeError)
+  })
+
   it('can fill an element with text', () => {
     const result = el("foo", 'bar')
     assert.equal(result.outerHTML, '<div class="foo">bar</div>')
@@ -110,6 +178,84 @@ describe("Element creation", () => {
     }, 20)
   })
 
+  it('can fill an element with a thenable', (done) => {
+    const thenable = { then: (resolve) => setTimeout(() => resolve('bar'), 10) }
+    const result = el('foo', thenable)
+    assert.equal(result.outerHTML, '<div class="foo"><!--promisePlaceholder--></div>')
+    setTimeout(() => {
+      assert.equal(result.outerHTML, '<div class="foo">bar</div>')
+      done()
+    }, 20)
+  })
+
+  it('can show pending content while waiting for a Promise', (done) => {
+    const promise = new Promise(resolve => setTimeout(() => resolve('bar'), 10))
+    const result = el('foo', awaiting(promise, { pending: el('spinner') }))
+    assert.equal(result.outerHTML, '<div class="foo"><!--promisePending--><div class="spinner"></div><!--promisePlaceholder--></div>')
+    setTimeout(() => {
+      assert.equal(result.outerHTML, '<div class="foo">bar</div>')
+      done()
+    }, 20)
+  })
+
+  it('can show rejected content when a Promise fails', (done) => {
+    const promise = new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error('bar')), 10)
+    })
+    const result = el('foo', awaiting(promise, {
+      pending: 'loading',
+      rejected: (error) => 'failed ' + error.message
+    }))
+    assert.equal(result.outerHTML, '<div class="foo"><!--promisePending-->loading<!--promisePlaceholder--></div>')
+    setTimeout(() => {
+      assert.equal(result.outerHTML, '<div class="foo">failed bar</div>')
+      done()
+    }, 20)
+  })
+
+  it('ignores a Promise whose placeholder was removed', (done) => {
+    const result = el('foo', new Promise(resolve => {
+      setTimeout(() => resolve('bar'), 10)
+    }))
+    result.firstChild.remove()
+    el(result, 'baz')
+    setTimeout(() => {
+      assert.equal(result.outerHTML, '<div class="foo">baz</div>')
+      done()
+    }, 20)
+  })
+
+  it('ignores a rejection whose placeholder was removed', (done) => {
+    const unhandled = []
+    const onUnhandled = (event) => { unhandled.push(event.reason) }
+    window.addEventListener('unhandledrejection', onUnhandled)
+    const result = el('foo', Promise.reject(new Error('bar')))
+    result.firstChild.remove()
+    setTimeout(() => {
+      window.removeEventListener('unhandledrejection', onUnhandled)
+      assert.deepEqual(unhandled, [])
+      assert.equal(result.outerHTML, '<div class="foo"></div>')
+      done()
+    }, 20)
+  })
+
+  it('reports an error rendering a settled Promise', (done) => {
+    const errors = []
+    const { reportError } = globalThis
+    globalThis.reportError = (error) => errors.push(error)
+    const result = el('foo', awaiting(Promise.reject(new Error('bar')), {
+      pending: 'loading',
+      rejected: () => 42
+    }))
+    setTimeout(() => {
+      globalThis.reportError = reportError
+      assert.equal(errors.length, 1)
+      assert.instanceOf(errors[0], TypeError)
+      assert.equal(result.outerHTML, '<div class="foo"></div>')
+      done()
+    }, 20)
+  })
+
   it('can fill an element with arrays', () => {
     const result = el("foo", [
       'bar',
@@ -294,6 +440,7 @@ describe("Reactivity", () => {
         '<div class="foo" name="qux"><!--observerStart--><!--observerEnd--></div>'
       )
       rx.bar = 'corge'
+      flush()
       assert.equal(
         result.outerHTML, 
         '<div class="foo" name="corge"><!--observerStart--><!--observerEnd--></div>'
@@ -312,14 +459,58 @@ describe("Reactivity", () => {
     assert.equal(result.outerHTML, '<div class="foo"><!--observerStart-->baz<!--observerEnd--></div>')
     document.body.appendChild(result)
     setTimeout(() => {
+      flush()
       assert.equal(result.outerHTML, '<div class="foo"><!--observerStart-->qux<!--observerEnd--></div>')
       rx.bar = 'corge'
+      flush()
       assert.equal(result.outerHTML, '<div class="foo"><!--observerStart-->corge<!--observerEnd--></div>')
       result.remove()
       done()
     }, 10)
   })
 
+  it('updates an observer string in place', (done) => {
+    const rx = new Reactor()
+    rx.bar = 'baz'
+    const result = el('foo', ob(() => rx.bar))
+    const textNode = result.childNodes[1]
+    document.body.appendChild(result)
+    setTimeout(() => {
+      rx.bar = 'qux'
+      flush()
+      assert.equal(result.outerHTML, '<div class="foo"><!--observerStart-->qux<!--observerEnd--></div>')
+      assert(result.childNodes[1] === textNode)
+      result.remove()
+      done()
+    }, 10)
+  })
+
+  it('leaves the same observer element in place', (done) => {
+    const rx = new Reactor()
+    rx.bar = 'baz'
+    const inner = el('bar')
+    const result = el('foo', ob(() => {
+      inner.title = rx.bar
+      return inner
+    }))
+    document.body.appendChild(result)
+    setTimeout(() => {
+      let moved = false
+      const observer = new MutationObserver(() => { moved = true })
+      observer.observe(result, { childList: true })
+      rx.bar = 'qux'
+      flush()
+      assert(result.childNodes[1] === inner)
+      assert.equal(inner.title, 'qux')
+      setTimeout(() => {
+        observer.disconnect()
+        assert(!moved)
+        result.remove()
+        done()
+      }, 10)
+    }, 10)
+  })
+
   it('updates an observer element', (done) => { 
     const rx = new Reactor()
     rx.foo = 'foo'
@@ -331,10 +522,13 @@ describe("Reactivity", () => {
     assert.equal(result.outerHTML, '<div class="div"><!--observerStart--><div class="foo">bar</div><!--observerEnd--></div>')
     document.body.appendChild(result)
     setTimeout(() => {
+      flush()
       assert.equal(result.outerHTML, '<div class="div"><!--observerStart--><div class="baz">qux</div><!--observerEnd--></div>')
       rx.foo = 'corge'
+      flush()
       assert.equal(result.outerHTML, '<div class="div"><!--observerStart--><div class="corge">qux</div><!--observerEnd--></div>')
       rx.bar = 'grault'
+      flush()
       assert.equal(result.outerHTML, '<div class="div"><!--observerStart--><div class="corge">grault</div><!--observerEnd--></div>')
       result.remove()
       done()
@@ -355,6 +549,7 @@ describe("Reactivity", () => {
     rx.title = 'bar'
     document.body.appendChild(result)
     setTimeout(() => {
+      flush()
       assert.equal(
         result.outerHTML,
         '<article class="article"><!--observerStart--><!--observerStart-->bar<!--observerEnd--><!--observerEnd--></article>'
@@ -398,16 +593,19 @@ describe("Reactivity", () => {
       '<article class="article"><h1 class="h1"><!--observerStart-->foo<!--observerEnd--></h1><!--observerStart--><p class="p" id="bar"><!--observerStart-->Lorem ipsum dolor sit amet<!--observerEnd--></p><!--observerStart--><h3 class="h3"><!--observerStart-->123<!--observerEnd--></h3><!--observerEnd--><p class="p" id="baz"><!--observerStart-->Ut enim ad minim veniam<!--observerEnd--></p><!--observerStart--><h3 class="h3"><!--observerStart-->456<!--observerEnd--></h3><!--observerEnd--><p class="p" id="qux"><!--observerStart-->Duis aute irure dolor in reprehenderit<!--observerEnd--></p><!--observerStart--><h3 class="h3"><!--observerStart-->789<!--observerEnd--></h3><!--observerEnd--><!--observerEnd--></article>'
     )
     setTimeout(() => {
+      flush()
       assert.equal(
         result.outerHTML,
         '<article class="article"><h1 class="h1"><!--observerStart-->corge<!--observerEnd--></h1><!--observerStart--><p class="p" id="bar"><!--observerStart-->Lorem ipsum dolor sit amet<!--observerEnd--></p><!--observerStart--><h3 class="h3"><!--observerStart-->123<!--observerEnd--></h3><!--observerEnd--><p class="p" id="baz"><!--observerStart-->Ut enim ad minim veniam<!--observerEnd--></p><!--observerStart--><h3 class="h3"><!--observerStart-->456<!--observerEnd--></h3><!--observerEnd--><p class="p" id="qux"><!--observerStart-->Duis aute irure dolor in reprehenderit<!--observerEnd--></p><!--observerStart--><h3 class="h3"><!--observerStart-->789<!--observerEnd--></h3><!--observerEnd--><!--observerEnd--></article>'
       )
       rx.paragraphs[0].content = 'bloop bloop bloop'
+      flush()
       assert.equal(
         result.outerHTML,
         '<article class="article"><h1 class="h1"><!--observerStart-->corge<!--observerEnd--></h1><!--observerStart--><p class="p" id="bar"><!--observerStart-->bloop bloop bloop<!--observerEnd--></p><!--observerStart--><h3 class="h3"><!--observerStart-->123<!--observerEnd--></h3><!--observerEnd--><p class="p" id="baz"><!--observerStart-->Ut enim ad minim veniam<!--observerEnd--></p><!--observerStart--><h3 class="h3"><!--observerStart-->456<!--observerEnd--></h3><!--observerEnd--><p class="p" id="qux"><!--observerStart-->Duis aute irure dolor in reprehenderit<!--observerEnd--></p><!--observerStart--><h3 class="h3"><!--observerStart-->789<!--observerEnd--></h3><!--observerEnd--><!--observerEnd--></article>'
       )
       rx.paragraphs[2].time = '987'
+      flush()
       assert.equal(
         result.outerHTML,
         '<article class="article"><h1 class="h1"><!--observerStart-->corge<!--observerEnd--></h1><!--observerStart--><p class="p" id="bar"><!--observerStart-->bloop bloop bloop<!--observerEnd--></p><!--observerStart--><h3 class="h3"><!--observerStart-->123<!--observerEnd--></h3><!--observerEnd--><p class="p" id="baz"><!--observerStart-->Ut enim ad minim veniam<!--observerEnd--></p><!--observerStart--><h3 class="h3"><!--observerStart-->456<!--observerEnd--></h3><!--observerEnd--><p class="p" id="qux"><!--observerStart-->Duis aute irure dolor in reprehenderit<!--observerEnd--></p><!--observerStart--><h3 class="h3"><!--observerStart-->987<!--observerEnd--></h3><!--observerEnd--><!--observerEnd--></article>'
@@ -419,6 +617,183 @@ describe("Reactivity", () => {
 
 })
 
+describe('Props objects', () => {
+  it('sets attributes and properties from an object', () => {
+    const result = el('input', {
+      type: 'text',
+      value: 'foo',
+      'aria-label': 'bar',
+      dataset: { baz: 'qux' },
+      class: 'corge'
+    })
+    assert.equal(result.value, 'foo')
+    assert.equal(result.getAttribute('type'), 'text')
+    assert.equal(result.getAttribute('aria-label'), 'bar')
+    assert.equal(result.dataset.baz, 'qux')
+    assert(result.classList.contains('corge'))
+  })
+
+  it('adds event listeners from an object', () => {
+    let count = 0
+    const result = el('button', { onclick: () => count++ })
+    result.click()
+    assert.equal(count, 1)
+  })
+
+  it('binds function values reactively', (done) => {
+    const rx = new Reactor()
+    rx.name = 'foo'
+    const result = el('input', { value: () => rx.name, title: () => rx.name })
+    assert.equal(result.value, 'foo')
+    document.body.appendChild(result)
+    setTimeout(() => {
+      rx.name = 'bar'
+      flush()
+      assert.equal(result.value, 'bar')
+      assert.equal(result.getAttribute('title'), 'bar')
+      result.remove()
+      done()
+    }, 10)
+  })
+
+  it('sets SVG props as attributes', () => {
+    const result = el('svg', { width: '10', viewBox: '0 0 10 10' })
+    assert.equal(result.outerHTML, '<svg class="svg" width="10" viewBox="0 0 10 10"></svg>')
+  })
+})
+
+describe('Custom elements', () => {
+  it('can define a custom element rendered with el', (done) => {
+    defineElement('user-card', (attributes, $) => [
+      el('h2', ob(() => attributes.name)),
+      el('p', ob(() => attributes['user-role']))
+    ], { attributes: ['name', 'user-role'] })
+    const container = el('div')
+    container.innerHTML = '<user-card name="foo" user-role="bar"></user-card>'
+    document.body.appendChild(container)
+    const card = container.firstChild
+    assert.equal(card.innerHTML, '<h2 class="h2"><!--observerStart-->foo<!--observerEnd--></h2><p class="p"><!--observerStart-->bar<!--observerEnd--></p>')
+    setTimeout(() => {
+      card.setAttribute('name', 'baz')
+      flush()
+      assert.equal(card.innerHTML, '<h2 class="h2"><!--observerStart-->baz<!--observerEnd--></h2><p class="p"><!--observerStart-->bar<!--observerEnd--></p>')
+      container.remove()
+      done()
+    }, 10)
+  })
+
+  it('rejects invalid custom element names', () => {
+    assert.throws(() => defineElement('widget', () => {}), SyntaxError)
+  })
+})
+
+describe('Namespaces', () => {
+  it('can create SVG elements', () => {
+    const result = el('svg', el('circle', attr('r', '5')))
+    assert.equal(result.namespaceURI, 'http://www.w3.org/2000/svg')
+    assert.equal(result.firstChild.namespaceURI, 'http://www.w3.org/2000/svg')
+    assert.equal(result.outerHTML, '<svg class="svg"><circle class="circle" r="5"></circle></svg>')
+  })
+
+  it('can create MathML elements', () => {
+    const result = el('math', el('mi', 'x'))
+    assert.equal(result.namespaceURI, 'http://www.w3.org/1998/Math/MathML')
+    assert.equal(result.firstChild.namespaceURI, 'http://www.w3.org/1998/Math/MathML')
+  })
+
+  it('creates shared tags in the namespace they are appended to', () => {
+    const rx = new Reactor({ title: 'bar' })
+    const result = el('svg', el('a', attr('href', '#foo'), el('title', ob(() => rx.title))))
+    const link = result.firstChild
+    assert.equal(link.namespaceURI, 'http://www.w3.org/2000/svg')
+    assert.equal(link.firstChild.namespaceURI, 'http://www.w3.org/2000/svg')
+    assert.equal(result.outerHTML, '<svg class="svg"><a class="a" href="#foo"><title class="title"><!--observerStart-->bar<!--observerEnd--></title></a></svg>')
+    assert.equal(el('svg', el('title', 'Close')).firstChild.namespaceURI, 'http://www.w3.org/2000/svg')
+    assert.equal(el('math', el('style.foo')).firstChild.namespaceURI, 'http://www.w3.org/1998/Math/MathML')
+    assert.equal(el('div', el('a')).firstChild.namespaceURI, 'http://www.w3.org/1999/xhtml')
+    assert.equal(el('svg', el('foreignObject', el('a'))).firstChild.firstChild.namespaceURI, 'http://www.w3.org/1999/xhtml')
+    // Children given later are kept until the element is made
+    const title = el('title')
+    el(title, 'Close')
+    assert.equal(el('svg', title).outerHTML, '<svg class="svg"><title class="title">Close</title></svg>')
+    // A prefix creates it straight away
+    assert.equal(el('html:title').namespaceURI, 'http://www.w3.org/1999/xhtml')
+  })
+
+  it('can force a namespace with a prefix', () => {
+    const result = el('svg:a foo')
+    assert.equal(result.namespaceURI, 'http://www.w3.org/2000/svg')
+    assert.equal(result.getAttribute('class'), 'a foo')
+  })
+
+  it('sets namespaced attributes using attr', () => {
+    const result = el('use', attr('xlink:href', '#foo'))
+    assert.equal(result.getAttributeNS('http://www.w3.org/1999/xlink', 'href'), '#foo')
+  })
+})
+
+describe('Keyed lists', () => {
+  it('renders a keyed list', () => {
+    const rx = new Reactor({ items: [{ id: 1, text: 'foo' }, { id: 2, text: 'bar' }] })
+    const result = el('ul', each(rx.items, item => item.id, item => el('li', item.text)))
+    assert.equal(result.outerHTML, '<ul class="ul"><!--eachStart--><li class="li">foo</li><li class="li">bar</li><!--eachEnd--></ul>')
+  })
+
+  it('reuses nodes when the list changes', (done) => {
+    const rx = new Reactor({ items: [{ id: 1, text: 'foo' }, { id: 2, text: 'bar' }] })
+    const result = el('ul', each(rx.items, item => item.id, item => el('li', item.text)))
+    document.body.appendChild(result)
+    const [foo, bar] = result.querySelectorAll('li')
+    setTimeout(() => {
+      rx.items.push({ id: 3, text: 'baz' })
+      flush()
+      assert.equal(result.outerHTML, '<ul class="ul"><!--eachStart--><li class="li">foo</li><li class="li">bar</li><li class="li">baz</li><!--eachEnd--></ul>')
+      assert(result.querySelectorAll('li')[0] === foo)
+      rx.items.reverse()
+      flush()
+      assert.equal(result.outerHTML, '<ul class="ul"><!--eachStart--><li class="li">baz</li><li class="li">bar</li><li class="li">foo</li><!--eachEnd--></ul>')
+      assert(result.querySelectorAll('li')[1] === bar)
+      assert(result.querySelectorAll('li')[2] === foo)
+      rx.items.splice(1, 1)
+      flush()
+      assert.equal(result.outerHTML, '<ul class="ul"><!--eachStart--><li class="li">baz</li><li class="li">foo</li><!--eachEnd--></ul>')
+      result.remove()
+      done()
+    }, 10)
+  })
+
+  it('keeps observers inside moved items running', (done) => {
+    const rx = new Reactor({ items: [{ id: 1, text: 'foo' }, { id: 2, text: 'bar' }] })
+    const result = el('ul', each(rx.items, item => item.id, item => el('li', ob(() => item.text))))
+    document.body.appendChild(result)
+    setTimeout(() => {
+      rx.items.reverse()
+      setTimeout(() => {
+        rx.items[1].text = 'baz'
+        flush()
+        assert.equal(result.outerHTML, '<ul class="ul"><!--eachStart--><li class="li"><!--observerStart-->bar<!--observerEnd--></li><li class="li"><!--observerStart-->baz<!--observerEnd--></li><!--eachEnd--></ul>')
+        result.remove()
+        done()
+      }, 10)
+    }, 10)
+  })
+
+  it('keys by the item itself by default', (done) => {
+    const rx = new Reactor({ items: ['foo', 'bar'] })
+    const result = el('ul', each(rx.items, item => el('li', item)))
+    document.body.appendChild(result)
+    const [foo] = result.querySelectorAll('li')
+    setTimeout(() => {
+      rx.items.unshift('baz')
+      flush()
+      assert.equal(result.outerHTML, '<ul class="ul"><!--eachStart--><li class="li">baz</li><li class="li">foo</li><li class="li">bar</li><!--eachEnd--></ul>')
+      assert(result.querySelectorAll('li')[1] === foo)
+      result.remove()
+      done()
+    }, 10)
+  })
+})
+
 describe('Shorthands', () => {
   it('set attributes using attr', () => {
     const result = el('foo', attr('id', 'bar'))
@@ -442,14 +817,264 @@ describe('Shorthands', () => {
     assert.equal(result.outerHTML,'<div class="foo" id="bar"><!--observerStart--><!--observerEnd--></div>')
     document.body.appendChild(result)
     setTimeout(() => {
+      flush()
       assert.equal(result.outerHTML,'<div class="foo" id="baz"><!--observerStart--><!--observerEnd--></div>')
       rx.foo = 'corge'
+      flush()
       assert.equal(result.outerHTML,'<div class="foo" id="corge"><!--observerStart--><!--observerEnd--></div>')
       result.remove()
       done()
     }, 10)
   })
 
+  it('set attributes reactively without bookends', (done) => {
+    const rx = new Reactor()
+    rx.foo = 'bar'
+    const result = el('foo', attr('id', () => rx.foo))
+    assert.equal(result.outerHTML, '<div class="foo" id="bar"></div>')
+    document.body.appendChild(result)
+    setTimeout(() => {
+      rx.foo = 'baz'
+      flush()
+      assert.equal(result.outerHTML, '<div class="foo" id="baz"></div>')
+      rx.foo = null
+      flush()
+      assert.equal(result.outerHTML, '<div class="foo"></div>')
+      result.remove()
+      setTimeout(() => {
+        rx.foo = 'qux'
+        assert.equal(result.outerHTML, '<div class="foo"></div>')
+        done()
+      }, 10)
+    }, 10)
+  })
+
+  it('set attributes reactively using an observer', (done) => {
+    const rx = new Reactor()
+    rx.foo = 'bar'
+    const result = el('foo', attr('id', ob(() => rx.foo)))
+    assert.equal(result.outerHTML, '<div class="foo" id="bar"></div>')
+    document.body.appendChild(result)
+    setTimeout(() => {
+      rx.foo = 'baz'
+      flush()
+      assert.equal(result.outerHTML, '<div class="foo" id="baz"></div>')
+      result.remove()
+      done()
+    }, 10)
+  })
+
+  it('toggles classes reactively using cls', (done) => {
+    const rx = new Reactor()
+    rx.selected = false
+    rx.theme = 'light'
+    const result = el('foo', cls('bar'), cls({ active: () => rx.selected }), cls(() => rx.theme))
+    assert.equal(result.outerHTML, '<div class="foo bar light"></div>')
+    document.body.appendChild(result)
+    setTimeout(() => {
+      rx.selected = true
+      rx.theme = 'dark'
+      flush()
+      assert.equal(result.outerHTML, '<div class="foo bar active dark"></div>')
+      result.remove()
+      done()
+    }, 10)
+  })
+
+  it('sets styles reactively using style', (done) => {
+    const rx = new Reactor()
+    rx.width = 10
+    const result = el('foo', style({ width: () => rx.width + 'px', '--bar': 'baz' }))
+    assert.equal(result.style.width, '10px')
+    assert.equal(result.style.getPropertyValue('--bar'), 'baz')
+    document.body.appendChild(result)
+    setTimeout(() => {
+      rx.width = 20
+      flush()
+      assert.equal(result.style.width, '20px')
+      result.remove()
+      done()
+    }, 10)
+  })
+
+  it('binds a text input', () => {
+    const rx = new Reactor({ foo: 'bar' })
+    const input = el('input', { type: 'text' }, bind(rx, 'foo'))
+    assert.equal(input.value, 'bar')
+    input.value = 'baz'
+    input.dispatchEvent(new Event('input'))
+    assert.equal(rx.foo, 'baz')
+  })
+
+  it('binds on change when asked', () => {
+    const rx = new Reactor({ foo: 'bar' })
+    const input = el('input', { type: 'text' }, bind(rx, 'foo', { event: 'change' }))
+    input.value = 'baz'
+    input.dispatchEvent(new Event('input'))
+    assert.equal(rx.foo, 'bar')
+    input.dispatchEvent(new Event('change'))
+    assert.equal(rx.foo, 'baz')
+  })
+
+  it('keeps existing input handlers when binding', () => {
+    const rx = new Reactor({ foo: 'bar' })
+    let count = 0
+    const input = el('input', { oninput: () => count++ }, bind(rx, 'foo'))
+    input.dispatchEvent(new Event('input'))
+    assert.equal(count, 1)
+  })
+
+  it('binds a checkbox', () => {
+    const rx = new Reactor({ foo: true })
+    const input = el('input', { type: 'checkbox' }, bind(rx, 'foo'))
+    assert(input.checked)
+    document.body.appendChild(input)
+    input.click()
+    assert.equal(rx.foo, false)
+    input.remove()
+  })
+
+  it('binds a group of checkboxes to an Array', () => {
+    const rx = new Reactor({ foo: ['bar'] })
+    const bar = el('input', { type: 'checkbox', value: 'bar' }, bind(rx, 'foo'))
+    const baz = el('input', { type: 'checkbox', value: 'baz' }, bind(rx, 'foo'))
+    assert(bar.checked)
+    assert(!baz.checked)
+    const container = el('div', bar, baz)
+    document.body.appendChild(container)
+    baz.click()
+    bar.click()
+    assert.deepEqual(Array.from(rx.foo), ['baz'])
+    container.remove()
+  })
+
+  it('binds a group of radios', () => {
+    const rx = new Reactor({ foo: 'bar' })
+    const bar = el('input', { type: 'radio', name: 'foo', value: 'bar' }, bind(rx, 'foo'))
+    const baz = el('input', { type: 'radio', name: 'foo', value: 'baz' }, bind(rx, 'foo'))
+    assert(bar.checked)
+    const container = el('div', bar, baz)
+    document.body.appendChild(container)
+    baz.click()
+    assert.equal(rx.foo, 'baz')
+    assert(!bar.checked)
+    container.remove()
+  })
+
+  it('binds a multiple select to an Array', () => {
+    const rx = new Reactor({ foo: ['baz'] })
+    const select = el('select', { multiple: true },
+      el('option', { value: 'bar' }),
+      el('option', { value: 'baz' }),
+      bind(rx, 'foo')
+    )
+    assert.deepEqual(Array.from(select.selectedOptions, option => option.value), ['baz'])
+    select.options[0].selected = true
+    select.dispatchEvent(new Event('change'))
+    assert.deepEqual(Array.from(rx.foo), ['bar', 'baz'])
+  })
+
+  it('binds a number input to numbers', () => {
+    const rx = new Reactor({ foo: 1 })
+    const input = el('input', { type: 'number' }, bind(rx, 'foo'))
+    assert.equal(input.value, '1')
+    input.value = '2.5'
+    input.dispatchEvent(new Event('input'))
+    assert.strictEqual(rx.foo, 2.5)
+  })
+
+  it('binds a contenteditable element', () => {
+    const rx = new Reactor({ foo: 'bar' })
+    const result = el('p', { contenteditable: 'true' }, bind(rx, 'foo'))
+    assert.equal(result.textContent, 'bar')
+    result.textContent = 'baz'
+    result.dispatchEvent(new Event('input'))
+    assert.equal(rx.foo, 'baz')
+  })
+
+  it('binds a nested path', () => {
+    const rx = new Reactor({ user: { address: { city: 'foo' } } })
+    const input = el('input', bind(rx, 'user.address.city'))
+    const input2 = el('input', bind(rx, ['user', 'address', 'city']))
+    assert.equal(input.value, 'foo')
+    assert.equal(input2.value, 'foo')
+    input.value = 'bar'
+    input.dispatchEvent(new Event('input'))
+    assert.equal(rx.user.address.city, 'bar')
+  })
+
+  it('binds a nested path which does not exist yet', (done) => {
+    const rx = new Reactor({})
+    const input = el('input', bind(rx, 'user.address.city'))
+    assert.equal(input.value, '')
+    document.body.appendChild(input)
+    setTimeout(() => {
+      rx.user = { address: { city: 'foo' } }
+      flush()
+      assert.equal(input.value, 'foo')
+      rx.user = null
+      flush()
+      assert.equal(input.value, '')
+      input.value = 'bar'
+      input.dispatchEvent(new Event('input'))
+      assert.equal(rx.user.address.city, 'bar')
+      input.remove()
+      done()
+    }, 10)
+  })
+
+  it('binds a get and set pair', () => {
+    const rx = new Reactor({ foo: 'bar' })
+    const input = el('input', bind({
+      get: () => rx.foo.toUpperCase(),
+      set: (value) => { rx.foo = value.toLowerCase() }
+    }))
+    assert.equal(input.value, 'BAR')
+    input.value = 'BAZ'
+    input.dispatchEvent(new Event('input'))
+    assert.equal(rx.foo, 'baz')
+  })
+
+  it('binds an observer one way', () => {
+    const rx = new Reactor({ foo: 'bar' })
+    const input = el('input', bind(ob(() => rx.foo + '!')))
+    assert.equal(input.value, 'bar!')
+    input.value = 'baz'
+    input.dispatchEvent(new Event('input'))
+    assert.equal(rx.foo, 'bar')
+  })
+
+  it('binds with parse and format', () => {
+    const rx = new Reactor({ price: 1000 })
+    const input = el('input', bind(rx, 'price', {
+      event: 'change',
+      parse: (value) => Number(value.replace(/,/g, '')),
+      format: (value) => value.toLocaleString('en-US')
+    }))
+    assert.equal(input.value, '1,000')
+    input.value = '2,500'
+    input.dispatchEvent(new Event('change'))
+    assert.strictEqual(rx.price, 2500)
+  })
+
+  it('does not overwrite the control while typing', (done) => {
+    const rx = new Reactor({ foo: 'bar' })
+    const input = el('input', bind(rx, 'foo', { parse: (value) => value.trim() }))
+    document.body.appendChild(input)
+    setTimeout(() => {
+      input.value = 'baz '
+      input.dispatchEvent(new Event('input'))
+      flush()
+      assert.equal(rx.foo, 'baz')
+      assert.equal(input.value, 'baz ')
+      rx.foo = 'qux'
+      flush()
+      assert.equal(input.value, 'qux')
+      input.remove()
+      done()
+    })
+  })
+
   it.skip('does 2 way binding', () => {
     // Need to automate this with puppeteer
     const rx = new Reactor()
@@ -469,6 +1094,948 @@ describe('Shorthands', () => {
 
 })
 
+describe('Events', () => {
+  it('can add multiple listeners with on', () => {
+    const calls = []
+    const result = el('button',
+      on('click', () => calls.push('foo')),
+      on('click', () => calls.push('bar'))
+    )
+    result.click()
+    assert.deepEqual(calls, ['foo', 'bar'])
+  })
+
+  it('can listen once and prevent default', () => {
+    let count = 0
+    const result = el('button', on('click', () => count++, { once: true, prevent: true }))
+    const event = new MouseEvent('click', { cancelable: true })
+    result.dispatchEvent(event)
+    result.click()
+    assert.equal(count, 1)
+    assert(event.defaultPrevented)
+  })
+
+  it('can delegate to matching descendants', () => {
+    const clicked = []
+    const result = el('ul',
+      on('click', function () { clicked.push(this.textContent) }, { selector: 'li' }),
+      el('li', 'foo'),
+      el('li', 'bar')
+    )
+    result.children[1].click()
+    result.click()
+    assert.deepEqual(clicked, ['bar'])
+  })
+
+  it('detaches listeners when removed from DOM', (done) => {
+    let count = 0
+    const result = el('button', on('click', () => count++))
+    document.body.appendChild(result)
+    setTimeout(() => {
+      result.remove()
+      setTimeout(() => {
+        result.click()
+        assert.equal(count, 0)
+        document.body.appendChild(result)
+        setTimeout(() => {
+          result.click()
+          assert.equal(count, 1)
+          result.remove()
+          done()
+        }, 10)
+      }, 10)
+    }, 10)
+  })
+})
+
+describe('Shadow DOM', () => {
+  it('runs observers inside a shadow root', (done) => {
+    const rx = new Reactor({ foo: 'bar' })
+    const host = el('host')
+    const shadowRoot = host.attachShadow({ mode: 'closed' })
+    assert(el(shadowRoot, el('foo', ob(() => rx.foo))) === shadowRoot)
+    document.body.appendChild(host)
+    setTimeout(() => {
+      rx.foo = 'baz'
+      flush()
+      assert.equal(shadowRoot.innerHTML, '<div class="foo"><!--observerStart-->baz<!--observerEnd--></div>')
+      host.remove()
+      setTimeout(() => {
+        rx.foo = 'qux'
+        assert.equal(shadowRoot.innerHTML, '<div class="foo"><!--observerStart-->baz<!--observerEnd--></div>')
+        done()
+      }, 10)
+    }, 10)
+  })
+
+  it('watches content added to a connected shadow root', (done) => {
+    const rx = new Reactor({ foo: 'bar' })
+    const host = el('host')
+    const shadowRoot = host.attachShadow({ mode: 'open' })
+    document.body.appendChild(host)
+    setTimeout(() => {
+      const result = el('foo', ob(() => rx.foo))
+      shadowRoot.appendChild(result)
+      setTimeout(() => {
+        rx.foo = 'baz'
+        flush()
+        assert.equal(result.textContent, 'baz')
+        host.remove()
+        done()
+      }, 10)
+    }, 10)
+  })
+})
+
+describe('Other documents', () => {
+  it('runs observers in the document of an iframe', (done) => {
+    const iframe = el('iframe')
+    document.body.appendChild(iframe)
+    const iframeDocument = iframe.contentDocument
+    const iframeEl = elFor(iframeDocument)
+    const rx = new Reactor({ foo: 'bar' })
+    const result = iframeEl('foo', iframeEl('span', ob(() => rx.foo)))
+    assert(result.ownerDocument === iframeDocument)
+    assert(result.firstChild.ownerDocument === iframeDocument)
+    iframeDocument.body.appendChild(result)
+    setTimeout(() => {
+      rx.foo = 'baz'
+      flush()
+      assert.equal(result.textContent, 'baz')
+      iframe.remove()
+      done()
+    }, 10)
+  })
+
+  it('runs observers appended straight into an iframe', (done) => {
+    const iframe = document.createElement('iframe')
+    document.body.appendChild(iframe)
+    const iframeDocument = iframe.contentDocument
+    const rx = new Reactor({ foo: 'a' })
+    const result = el('div', ob(() => rx.foo))
+    iframeDocument.body.appendChild(result)
+    setTimeout(() => {
+      rx.foo = 'b'
+      flush()
+      assert.equal(result.textContent, 'b')
+      iframe.remove()
+      done()
+    }, 10)
+  })
+
+  it('renders into template content', () => {
+    const template = el('template')
+    assert(el(template.content, el('li', 'foo'), 'bar') === template.content)
+    assert.equal(template.innerHTML, '<li class="li">foo</li>bar')
+  })
+})
+
+describe('Portals', () => {
+  it('renders into the target while the owner is in the document', (done) => {
+    const target = el('target')
+    document.body.appendChild(target)
+    const rx = new Reactor({ foo: 'bar' })
+    const owner = el('owner', portal(target, el('content', ob(() => rx.foo))))
+    assert.equal(owner.innerHTML, '<!--portal-->')
+    assert.equal(target.innerHTML, '')
+    document.body.appendChild(owner)
+    setTimeout(() => {
+      assert.equal(target.innerHTML, '<!--portalStart--><div class="content"><!--observerStart-->bar<!--observerEnd--></div><!--portalEnd-->')
+      const content = target.querySelector('.content')
+      owner.remove()
+      setTimeout(() => {
+        assert.equal(target.innerHTML, '')
+        rx.foo = 'baz'
+        assert.equal(content.textContent, 'bar')
+        document.body.appendChild(owner)
+        setTimeout(() => {
+          flush()
+          assert.equal(target.textContent, 'baz')
+          owner.remove()
+          target.remove()
+          done()
+        }, 10)
+      }, 10)
+    }, 10)
+  })
+
+  it('removes the content when the owner bookends are cleared', (done) => {
+    const target = el('target')
+    const rx = new Reactor({ open: true, foo: 'bar' })
+    const owner = el('owner', ob(() => rx.open
+      ? portal(target, el('content', ob(() => rx.foo)))
+      : ''
+    ))
+    document.body.append(target, owner)
+    setTimeout(() => {
+      const content = target.querySelector('.content')
+      assert.equal(content.textContent, 'bar')
+      rx.open = false
+      flush()
+      assert.equal(target.innerHTML, '')
+      setTimeout(() => {
+        rx.foo = 'baz'
+        assert.equal(content.textContent, 'bar')
+        owner.remove()
+        target.remove()
+        done()
+      }, 10)
+    }, 10)
+  })
+})
+
+describe('Components', () => {
+  it('updates from a props Reactor without rendering again', (done) => {
+    let renders = 0
+    const Label = component((props) => {
+      renders++
+      return el('label', ob(() => props.text))
+    })
+    const props = new Reactor({ text: 'foo' })
+    const result = Label(props)
+    document.body.appendChild(result)
+    setTimeout(() => {
+      props.text = 'bar'
+      flush()
+      assert.equal(result.outerHTML, '<label class="label"><!--observerStart-->bar<!--observerEnd--></label>')
+      assert.equal(renders, 1)
+      result.remove()
+      done()
+    }, 10)
+  })
+
+  it('follows observer props', (done) => {
+    const rx = new Reactor({ text: 'foo' })
+    const Label = component((props) => el('label', ob(() => props.text)))
+    const result = Label({ text: ob(() => rx.text), title: 'bar' })
+    document.body.appendChild(result)
+    setTimeout(() => {
+      rx.text = 'baz'
+      flush()
+      assert.equal(result.textContent, 'baz')
+      result.remove()
+      done()
+    }, 10)
+  })
+
+  it('stops its own observers when removed', (done) => {
+    const rx = new Reactor({ foo: 'bar' })
+    let runs = 0
+    const Widget = component((props, ctx) => {
+      ctx.observe(() => { runs++; return rx.foo })
+      return el('widget')
+    })
+    const result = Widget()
+    assert.equal(runs, 1)
+    rx.foo = 'baz'
+    assert.equal(runs, 1)
+    document.body.appendChild(result)
+    setTimeout(() => {
+      assert.equal(runs, 2)
+      rx.foo = 'qux'
+      assert.equal(runs, 3)
+      result.remove()
+      setTimeout(() => {
+        rx.foo = 'corge'
+        assert.equal(runs, 3)
+        done()
+      }, 10)
+    }, 10)
+  })
+})
+
+describe('Context', () => {
+  it('injects the closest provided value', (done) => {
+    const result = el('app', provide('theme', 'dark'), provide('locale', 'en'),
+      el('panel', provide('theme', 'light'),
+        el('span', ob(() => `${inject('theme')}${inject('locale')}`))
+      ),
+      el('span', ob(() => `${inject('theme')}${inject('user', 'nobody')}`))
+    )
+    document.body.appendChild(result)
+    setTimeout(() => {
+      flush()
+      const [inner, outer] = result.querySelectorAll('span')
+      assert.equal(inner.textContent, 'lighten')
+      assert.equal(outer.textContent, 'darknobody')
+      result.remove()
+      done()
+    }, 10)
+  })
+
+  it('updates when the provided value changes', (done) => {
+    const theme = new Reactor({ color: 'red' })
+    const result = el('app', provide('theme', theme),
+      el('span', ob(() => inject('theme', {}).color))
+    )
+    document.body.appendChild(result)
+    setTimeout(() => {
+      flush()
+      const span = result.querySelector('span')
+      assert.equal(span.textContent, 'red')
+      theme.color = 'blue'
+      flush()
+      assert.equal(span.textContent, 'blue')
+      el(result, provide('theme', { color: 'green' }))
+      flush()
+      assert.equal(span.textContent, 'green')
+      result.remove()
+      done()
+    }, 10)
+  })
+
+  it('only reruns for values provided above it', (done) => {
+    let runs = 0
+    const result = el('app',
+      el('panel', el('span', ob(() => {
+        runs++
+        return inject('theme', 'none')
+      }))),
+      el('aside')
+    )
+    document.body.appendChild(result)
+    setTimeout(() => {
+      flush()
+      runs = 0
+      const aside = result.querySelector('aside')
+      for (let i = 0; i < 50; i++) el(aside, provide(i, i))
+      el(el('unrelated'), provide('theme', 'light'))
+      flush()
+      assert.equal(runs, 0)
+      el(result, provide('theme', 'dark'))
+      flush()
+      assert.equal(runs, 1)
+      assert.equal(result.querySelector('span').textContent, 'dark')
+      assert.equal(inject('theme', 'outside'), 'outside')
+      result.remove()
+      done()
+    }, 10)
+  })
+
+  it('resolves portal content through its owner', (done) => {
+    const target = el('target')
+    const owner = el('owner', provide('theme', 'dark'),
+      portal(target, el('span', ob(() => inject('theme', 'none'))))
+    )
+    document.body.append(target, owner)
+    setTimeout(() => {
+      flush()
+      assert.equal(target.textContent, 'dark')
+      owner.remove()
+      target.remove()
+      done()
+    }, 10)
+  })
+  it('finds values provided later and in rerendered portal content', (done) => {
+    const rx = new Reactor({ label: 'foo' })
+    const target = el('target')
+    const owner = el('owner',
+      el('span', ob(() => inject('theme', 'none'))),
+      portal(target, ob(() => el('span', rx.label, ob(() => inject('theme', 'none')))))
+    )
+    document.body.append(target, owner)
+    setTimeout(() => {
+      flush()
+      assert.equal(owner.textContent, 'none')
+      assert.equal(target.textContent, 'foonone')
+      el(owner, provide('theme', 'dark'))
+      rx.label = 'bar'
+      flush()
+      assert.equal(owner.textContent, 'dark')
+      // The new span's observer starts once it is in the document
+      setTimeout(() => {
+        flush()
+        assert.equal(target.textContent, 'bardark')
+        owner.remove()
+        target.remove()
+        done()
+      }, 10)
+    }, 10)
+  })
+})
+
+describe('Signals', () => {
+  it('can check for signals and reactors', () => {
+    assert(isSignal(signal()))
+    assert(isSignal(computed(() => 'foo')))
+    assert(!isSignal(() => 'foo'))
+    assert(!isSignal(ob(() => 'foo')))
+    assert(isReactor(new Reactor()))
+    assert(!isReactor({}))
+  })
+
+  it('can take a signal as a reactive child', (done) => {
+    const count = signal('1')
+    const label = computed(() => `count is ${count()}`)
+    const result = el('foo', count, el('bar', label))
+    assert.equal(result.outerHTML, '<div class="foo"><!--observerStart-->1<!--observerEnd--><div class="bar"><!--observerStart-->count is 1<!--observerEnd--></div></div>')
+    document.body.appendChild(result)
+    setTimeout(() => {
+      count('2')
+      flush()
+      assert.equal(result.textContent, '2count is 2')
+      result.remove()
+      done()
+    }, 10)
+  })
+})
+
+describe('Scheduling', () => {
+  it('queues observers on a microtask once per burst', (done) => {
+    const rx = new Reactor({ count: 0 })
+    let runs = 0
+    const observer = ob(() => {
+      runs++
+      return rx.count
+    }, { scheduler: 'microtask' })
+    observer.start()
+    for (let i = 0; i < 5; i++) rx.count++
+    assert.equal(runs, 1)
+    queueMicrotask(() => {
+      assert.equal(runs, 2)
+      assert.equal(observer.value, 5)
+      observer.stop()
+      done()
+    })
+  })
+
+  it('can set the default scheduler and flush early', () => {
+    const rx = new Reactor({ count: 0 })
+    let runs = 0
+    setScheduler('frame')
+    const observer = ob(() => {
+      runs++
+      return rx.count
+    })
+    setScheduler()
+    observer.start()
+    rx.count++
+    rx.count++
+    assert.equal(runs, 1)
+    flush()
+    assert.equal(runs, 2)
+    assert.equal(observer.value, 2)
+    observer.stop()
+    assert.throws(() => setScheduler('later'), TypeError)
+  })
+
+  it('updates the DOM once per frame', (done) => {
+    const rx = new Reactor({ count: 0 })
+    const result = el('foo', ob(() => String(rx.count)))
+    const textNode = result.childNodes[1]
+    document.body.appendChild(result)
+    setTimeout(() => {
+      flush()
+      let writes = 0
+      const textObserver = new MutationObserver((records) => { writes += records.length })
+      textObserver.observe(textNode, { characterData: true })
+      for (let i = 1; i <= 5; i++) rx.count = i
+      assert.equal(result.textContent, '0')
+      requestAnimationFrame(() => {
+        assert.equal(result.textContent, '5')
+        setTimeout(() => {
+          assert.equal(writes, 1)
+          textObserver.disconnect()
+          result.remove()
+          done()
+        }, 0)
+      })
+    }, 10)
+  })
+
+  it('leaves observer children alone and writes their results once per frame', (done) => {
+    const rx = new Reactor({ count: 0 })
+    const child = ob(() => el('span', String(rx.count)))
+    const result = el('foo', child)
+    assert.equal(child.scheduler, undefined)
+    document.body.appendChild(result)
+    setTimeout(() => {
+      flush()
+      const childObserver = new MutationObserver(() => {})
+      childObserver.observe(result, { childList: true })
+      for (let i = 1; i <= 20; i++) rx.count = i
+      // The observer itself is current but the DOM waits
+      assert.equal(child.value.textContent, '20')
+      assert.equal(result.textContent, '0')
+      flush()
+      assert.equal(result.textContent, '20')
+      // One removal and one insertion
+      assert.equal(childObserver.takeRecords().length, 2)
+      childObserver.disconnect()
+      // A default scheduler applies to el()'s own observers too
+      const now = el('bar')
+      document.body.appendChild(now)
+      setScheduler('sync')
+      el(now, ob(() => String(rx.count)))
+      setScheduler()
+      rx.count = 21
+      assert.equal(now.textContent, '21')
+      result.remove()
+      now.remove()
+      done()
+    }, 10)
+  })
+})
+
+describe('Computed values', () => {
+  it('caches until a dependency changes', () => {
+    const rx = new Reactor({ items: [1, 2, 3] })
+    let calculations = 0
+    const total = computed(() => {
+      calculations++
+      return rx.items.reduce((sum, item) => sum + item, 0)
+    })
+    assert.equal(calculations, 0)
+    assert.equal(total(), 6)
+    assert.equal(total(), 6)
+    assert.equal(calculations, 1)
+    rx.items.push(4)
+    assert.equal(calculations, 1)
+    assert.equal(total(), 10)
+    assert.equal(calculations, 2)
+    assert.throws(() => total(5), TypeError)
+  })
+
+  it('updates observers only when it is recalculated', () => {
+    const rx = new Reactor({ first: 'foo', last: 'bar' })
+    let runs = 0
+    const name = computed(() => `${rx.first} ${rx.last}`)
+    const observer = ob(() => {
+      runs++
+      return name()
+    })
+    observer()
+    assert.equal(observer.value, 'foo bar')
+    rx.last = 'baz'
+    assert.equal(observer.value, 'foo baz')
+    assert.equal(runs, 2)
+    observer.stop()
+  })
+
+  it('is never stale for an observer which also reads its dependency', () => {
+    const a = signal(1)
+    const double = computed(() => a() * 2)
+    const seen = []
+    const observer = ob(() => seen.push([a(), double()]))
+    observer()
+    a(2)
+    assert.deepEqual(seen, [[1, 2], [2, 4]])
+    observer.stop()
+  })
+
+  it('can be a Reactor property', (done) => {
+    const rx = new Reactor({ items: ['foo', 'bar'] })
+    let calculations = 0
+    rx.count = computed(function () {
+      calculations++
+      return this.items.length
+    })
+    const result = el('span', ob(() => String(rx.count)))
+    document.body.appendChild(result)
+    setTimeout(() => {
+      assert.equal(result.textContent, '2')
+      assert.equal(rx.count, 2)
+      rx.items.push('baz')
+      flush()
+      assert.equal(result.textContent, '3')
+      assert.equal(rx.count, 3)
+      assert.equal(calculations, 2)
+      result.remove()
+      done()
+    }, 10)
+  })
+})
+
+describe('Equality', () => {
+  it('ignores writes of NaN over NaN', () => {
+    const sig = signal(NaN)
+    let runs = 0
+    const observer = ob(() => {
+      runs++
+      return sig()
+    })
+    observer()
+    sig(NaN)
+    assert.equal(runs, 1)
+    sig(1)
+    assert.equal(runs, 2)
+    observer.stop()
+  })
+
+  it('compares signal writes with a preset or function', () => {
+    const shallow = signal({ x: 1, y: 2 }, { equals: 'shallow' })
+    const rounded = signal(1.1, { equals: (a, b) => Math.round(a) === Math.round(b) })
+    let runs = 0
+    const observer = ob(() => {
+      runs++
+      return [shallow().x, rounded()]
+    })
+    observer()
+    shallow({ x: 1, y: 2 })
+    rounded(1.2)
+    assert.equal(runs, 1)
+    shallow({ x: 1, y: 3 })
+    assert.equal(runs, 2)
+    rounded(2.2)
+    assert.equal(runs, 3)
+    assert.throws(() => signal(1, { equals: 'foo' }), TypeError)
+    observer.stop()
+  })
+
+  it('skips structurally equal Reactor properties', () => {
+    const rx = new Reactor({ position: { x: 1, tags: ['foo'] } }, { equals: 'deep' })
+    let runs = 0
+    const observer = ob(() => {
+      runs++
+      return rx.position.tags[0]
+    })
+    observer()
+    rx.position = { x: 1, tags: ['foo'] }
+    assert.equal(runs, 1)
+    rx.position = { x: 1, tags: ['bar'] }
+    assert.equal(runs, 2)
+    assert.equal(observer.value, 'bar')
+    rx.position.tags = ['bar']
+    assert.equal(runs, 2)
+    observer.stop()
+  })
+
+  it('keeps the old value on an equal write so later mutations are seen', () => {
+    const rx = new Reactor({ pos: { x: 1 } }, { equals: 'deep' })
+    const sig = signal({ x: 1 }, { equals: 'shallow' })
+    const seen = []
+    const observer = ob(() => seen.push([rx.pos.x, sig().x]))
+    observer()
+    const pos = rx.pos
+    rx.pos = { x: 1 }
+    sig({ x: 1 })
+    assert(rx.pos === pos)
+    rx.pos.x = 5
+    sig().x = 6
+    assert.deepEqual(seen, [[1, 1], [5, 1], [5, 6]])
+    observer.stop()
+  })
+
+  it('only notifies when a computed value changes', () => {
+    const rx = new Reactor({ items: [1, 2, 3] })
+    let runs = 0
+    const even = computed(() => rx.items.filter(item => item % 2 === 0), {
+      equals: 'shallow'
+    })
+    const observer = ob(() => {
+      runs++
+      return even()
+    })
+    observer()
+    rx.items.push(5)
+    assert.equal(runs, 1)
+    rx.items.push(6)
+    assert.equal(runs, 2)
+    observer.stop()
+  })
+})
+
+describe('Collections', () => {
+  it('tracks Map entries by key', () => {
+    const rx = new Reactor({ cache: new Map([['foo', 1]]) })
+    let runs = 0
+    const observer = ob(() => {
+      runs++
+      return rx.cache.get('foo')
+    })
+    observer()
+    assert.equal(observer.value, 1)
+    rx.cache.set('bar', 2)
+    rx.cache.set('foo', 1)
+    assert.equal(runs, 1)
+    rx.cache.set('foo', 3)
+    assert.equal(observer.value, 3)
+    rx.cache.delete('foo')
+    assert.equal(observer.value, undefined)
+    assert.equal(runs, 3)
+    observer.stop()
+  })
+
+  it('tracks size and iteration as a whole', () => {
+    const rx = new Reactor({ cache: new Map() })
+    const size = ob(() => rx.cache.size)
+    const keys = ob(() => [...rx.cache.keys()].join())
+    size()
+    keys()
+    rx.cache.set('foo', 1)
+    rx.cache.set('bar', 2)
+    assert.equal(size.value, 2)
+    assert.equal(keys.value, 'foo,bar')
+    rx.cache.clear()
+    assert.equal(size.value, 0)
+    assert.equal(keys.value, '')
+    size.stop()
+    keys.stop()
+  })
+
+  it('tracks Set membership', () => {
+    const item = { name: 'foo' }
+    const rx = new Reactor({ selection: new Set() })
+    const selected = ob(() => rx.selection.has(item))
+    const names = ob(() => {
+      const result = []
+      rx.selection.forEach(each => result.push(each.name))
+      return result.join()
+    })
+    selected()
+    names()
+    assert.equal(selected.value, false)
+    rx.selection.add(item)
+    assert.equal(selected.value, true)
+    assert.equal(names.value, 'foo')
+    // Items read out are Reactors so changes inside them are tracked too
+    const [wrapped] = [...rx.selection]
+    wrapped.name = 'bar'
+    assert.equal(names.value, 'bar')
+    assert.equal(rx.selection.has(wrapped), true)
+    rx.selection.clear()
+    assert.equal(selected.value, false)
+    selected.stop()
+    names.stop()
+  })
+
+  it('tracks WeakMap and WeakSet entries', () => {
+    const key = {}
+    const rx = new Reactor({ meta: new WeakMap(), seen: new WeakSet() })
+    const observer = ob(() => `${rx.meta.get(key)} ${rx.seen.has(key)}`)
+    observer()
+    assert.equal(observer.value, 'undefined false')
+    rx.meta.set(key, 'foo')
+    rx.seen.add(key)
+    assert.equal(observer.value, 'foo true')
+    rx.seen.delete(key)
+    assert.equal(observer.value, 'foo false')
+    observer.stop()
+  })
+})
+
+describe('Lifecycle', () => {
+  it('mounts parents before children and unmounts in reverse', (done) => {
+    const calls = []
+    const result = el('foo',
+      onMount(() => calls.push('mount foo')),
+      onUnmount(() => calls.push('unmount foo')),
+      el('bar',
+        onMount(() => {
+          calls.push('mount bar')
+          return () => calls.push('cleanup bar')
+        }),
+        onUnmount(() => calls.push('unmount bar'))
+      )
+    )
+    document.body.appendChild(result)
+    setTimeout(() => {
+      assert.deepEqual(calls, ['mount foo', 'mount bar'])
+      result.remove()
+      setTimeout(() => {
+        assert.deepEqual(calls, [
+          'mount foo', 'mount bar', 'cleanup bar', 'unmount bar', 'unmount foo'
+        ])
+        done()
+      }, 10)
+    }, 10)
+  })
+
+  it('runs the other callbacks when one throws', (done) => {
+    const calls = []
+    const errors = []
+    const onError = (event) => {
+      errors.push(event.error.message)
+      event.preventDefault()
+    }
+    window.addEventListener('error', onError)
+    const result = el('foo',
+      el('bar', onMount(() => {
+        calls.push('mount bar')
+        return () => { throw new Error('cleanup bar') }
+      })),
+      el('baz',
+        onMount(() => calls.push('mount baz')),
+        onUnmount(() => calls.push('unmount baz'))
+      ),
+      el('qux', onMount(() => { throw new Error('mount qux') }))
+    )
+    document.body.appendChild(result)
+    setTimeout(() => {
+      assert.deepEqual(calls, ['mount bar', 'mount baz'])
+      assert.deepEqual(errors, ['mount qux'])
+      result.remove()
+      setTimeout(() => {
+        window.removeEventListener('error', onError)
+        assert.deepEqual(calls, ['mount bar', 'mount baz', 'unmount baz'])
+        assert.deepEqual(errors, ['mount qux', 'cleanup bar'])
+        done()
+      }, 10)
+    }, 10)
+  })
+
+  it('mounts straight away when already in the document', (done) => {
+    const result = el('foo')
+    document.body.appendChild(result)
+    let mounted
+    el(result, onMount(($) => { mounted = $ }))
+    assert(mounted === result)
+    let mounts = 0
+    el(result, onMount(() => { mounts++ }))
+    document.body.appendChild(el('bar', result))
+    setTimeout(() => {
+      assert.equal(mounts, 1)
+      result.parentNode.remove()
+      done()
+    }, 10)
+  })
+})
+
+describe('Server rendering', () => {
+  it('renders a tree to a string', () => {
+    const result = renderToString(() => el('article#main',
+      el('h1', 'foo & bar'),
+      el('input', { type: 'text', value: 'baz' }),
+      el('svg', el('circle', attr('r', '5')))
+    ))
+    assert.equal(result, '<article id="main"><h1 class="h1">foo &amp; bar</h1><input class="input" type="text" value="baz"><svg class="svg"><circle class="circle" r="5"></circle></svg></article>')
+  })
+
+  it('runs observers once and keeps their bookends', () => {
+    const rx = new Reactor({ title: 'foo', items: ['bar', 'baz'] })
+    const result = renderToString(() => el('article',
+      el('h1', ob(() => rx.title)),
+      el('ul', each(rx.items, item => el('li', item)))
+    ))
+    assert.equal(result, '<article class="article"><h1 class="h1"><!--observerStart-->foo<!--observerEnd--></h1><ul class="ul"><!--eachStart--><li class="li">bar</li><li class="li">baz</li><!--eachEnd--></ul></article>')
+  })
+
+  it('creates elements in a server document', () => {
+    let created
+    renderToString(() => { created = el('foo') })
+    assert(created.ownerDocument instanceof ServerDocument)
+    assert(el('foo').ownerDocument === document)
+  })
+})
+
+describe('Hydration', () => {
+  const render = (view) => {
+    const root = el('main')
+    root.innerHTML = renderToString(view)
+    document.body.appendChild(root)
+    return root
+  }
+
+  it('attaches observers without recreating nodes', (done) => {
+    const rx = new Reactor({ title: 'foo' })
+    const view = () => el('article', el('h1', ob(() => rx.title)), 'bar', 'baz')
+    const root = render(view)
+    const heading = root.querySelector('h1')
+    const text = heading.childNodes[1]
+    hydrate(root, view)
+    assert(root.querySelector('h1') === heading)
+    assert(heading.childNodes[1] === text)
+    assert.equal(root.firstChild.childNodes.length, 3)
+    rx.title = 'qux'
+    setTimeout(() => {
+      flush()
+      assert(heading.childNodes[1] === text)
+      assert.equal(root.innerHTML, '<article class="article"><h1 class="h1"><!--observerStart-->qux<!--observerEnd--></h1>barbaz</article>')
+      root.remove()
+      done()
+    }, 10)
+  })
+
+  it('claims keyed list items and listeners', (done) => {
+    const rx = new Reactor({ items: ['foo', 'bar'] })
+    let clicked = 0
+    const view = () => el('ul', on('click', () => clicked++), each(rx.items, item => el('li', item)))
+    const root = render(view)
+    const [foo, bar] = root.querySelectorAll('li')
+    hydrate(root, view)
+    rx.items.push('baz')
+    root.firstChild.click()
+    setTimeout(() => {
+      flush()
+      const items = root.querySelectorAll('li')
+      assert(items[0] === foo && items[1] === bar)
+      assert.equal(items[2].textContent, 'baz')
+      assert.equal(clicked, 1)
+      root.remove()
+      done()
+    }, 10)
+  })
+
+  it('hydrates components', (done) => {
+    const rx = new Reactor({ label: 'foo' })
+    const seen = []
+    const Button = component((props, ctx) => {
+      ctx.observe(() => seen.push(props.label))
+      return el('button', ob(() => props.label))
+    })
+    const view = () => el('article', Button({ label: ob(() => rx.label) }))
+    const root = render(view)
+    const button = root.querySelector('button')
+    hydrate(root, view)
+    assert(root.querySelector('button') === button)
+    setTimeout(() => {
+      rx.label = 'bar'
+      flush()
+      assert.equal(button.textContent, 'bar')
+      assert.equal(seen[seen.length - 1], 'bar')
+      root.remove()
+      setTimeout(() => {
+        rx.label = 'baz'
+        flush()
+        assert.equal(seen[seen.length - 1], 'bar')
+        done()
+      }, 10)
+    }, 10)
+  })
+
+  it('creates portal content instead of claiming it', (done) => {
+    const target = el('target', el('p', 'existing'))
+    document.body.appendChild(target)
+    const rx = new Reactor({ foo: 'bar' })
+    const view = () => el('article', el('h1', 'title'), portal(target, el('content', ob(() => rx.foo))))
+    const root = render(view)
+    assert.equal(root.innerHTML, '<article class="article"><h1 class="h1">title</h1><!--portal--></article>')
+    hydrate(root, view)
+    assert.equal(target.innerHTML, '<p class="p">existing</p><!--portalStart--><div class="content"><!--observerStart-->bar<!--observerEnd--></div><!--portalEnd-->')
+    setTimeout(() => {
+      rx.foo = 'baz'
+      flush()
+      assert.equal(target.querySelector('.content').textContent, 'baz')
+      root.remove()
+      setTimeout(() => {
+        assert.equal(target.innerHTML, '<p class="p">existing</p>')
+        target.remove()
+        done()
+      }, 10)
+    }, 10)
+  })
+
+  it('reports mismatches', () => {
+    const root = render(() => el('article', el('h1', 'foo')))
+    assert.throws(
+      () => hydrate(root, () => el('article', el('h2', 'foo'))),
+      HydrationError,
+      'Hydration mismatch in <article class="article">: expected <h2> but found <h1 class="h1">'
+    )
+    assert.throws(
+      () => hydrate(root, () => el('article', el('h1', ob(() => 'foo')))),
+      HydrationError,
+      'expected <!--observerStart--> but found text "foo"'
+    )
+    assert.throws(
+      () => hydrate(root, () => el('article')),
+      HydrationError,
+      'expected nothing more but found <h1 class="h1">'
+    )
+    root.remove()
+  })
+})
+
 describe("Clean up", () => {
 
   it('disables observer when removed from DOM', (done) => {
@@ -480,8 +2047,10 @@ describe("Clean up", () => {
     assert.equal(result.outerHTML, '<div class="foo"><!--observerStart-->baz<!--observerEnd--></div>')
     document.body.appendChild(result)
     setTimeout(() => {
+      flush()
       assert.equal(result.outerHTML, '<div class="foo"><!--observerStart-->qux<!--observerEnd--></div>')
       rx.bar = 'corge'
+      flush()
       assert.equal(result.outerHTML, '<div class="foo"><!--observerStart-->corge<!--observerEnd--></div>')
       result.remove()
       setTimeout(() => {
@@ -515,6 +2084,7 @@ describe("Clean up", () => {
     document.body.appendChild(result)
     setTimeout(() => {
       rx.bar = 'qux'
+      flush()
       assert.equal(result.outerHTML, '<div class="foo"><!--observerStart-->qux<!--observerEnd--></div>')
       result.childNodes[0].remove()
       setTimeout(() => {